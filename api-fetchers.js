@@ -1,9 +1,28 @@
 // api-fetchers.js - GNews and NewsAPI fetching module
+const { checkQuota, recordApiCall, recordQuotaSkip, recordQuotaExceeded } = require("./api-quota");
+
+/* -------------------- Quota helpers -------------------- */
+// Budget skips are deliberate, so they return [] even with throwOnError (no circuit-breaker failure)
+function quotaAllows(provider, label, options) {
+  const quota = checkQuota(provider, { purpose: options.purpose });
+  if (!quota.allowed) {
+    recordQuotaSkip(provider);
+    console.log(`⏸️ ${label} budget: skipping (${quota.reason})`);
+    return false;
+  }
+  recordApiCall(provider);
+  return true;
+}
+
+function isQuotaResponse(status, bodyText) {
+  if (status === 429) return true;
+  return /rateLimited|apiKeyExhausted|maximumResultsReached|request limit|quota/i.test(bodyText || "");
+}
 
 /* -------------------- NEWSAPI.org Integration -------------------- */
-async function fetchFromNewsAPI(params) {
+async function fetchFromNewsAPI(params, options = {}) {
   try {
-    const { q, language, pageSize, sortBy, from } = params;
+    const { q, language, pageSize, sortBy, from, to, page } = params;
     const apiKey = process.env.NEWSAPI_KEY;
 
     if (!apiKey) {
@@ -11,6 +30,8 @@ async function fetchFromNewsAPI(params) {
       return [];
     }
 
+    if (!quotaAllows("newsapi", "NewsAPI", options)) return [];
+
     let url = `https://newsapi.org/v2/everything?q=${encodeURIComponent(q)}&language=${language || 'hi'}&pageSize=${pageSize || 10}&sortBy=${sortBy || 'publishedAt'}&apiKey=${apiKey}`;
 
     if (from) {
@@ -19,6 +40,8 @@ async function fetchFromNewsAPI(params) {
       const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
       url += `&from=${yesterday.split('T')[0]}`;
     }
+    if (to) url += `&to=${to}`;
+    if (page) url += `&page=${page}`;
 
     console.log(`📡 Fetching LATEST from NewsAPI: ${q} (lang=${language || 'hi'})`);
 
@@ -29,14 +52,19 @@ async function fetchFromNewsAPI(params) {
 
     if (!response.ok) {
       const errorText = await response.text();
+      if (isQuotaResponse(response.status, errorText)) {
+        recordQuotaExceeded("newsapi", `HTTP ${response.status}: ${errorText.substring(0, 100)}`, Number(response.headers.get("retry-after")) || null);
+      }
       throw new Error(`NewsAPI HTTP ${response.status}: ${errorText.substring(0, 100)}`);
     }
 
     const data = await response.json();
 
     if (data.status !== "ok") {
-      console.warn(`NewsAPI error: ${data.message}`);
-      return [];
+      if (isQuotaResponse(0, `${data.code} ${data.message}`)) {
+        recordQuotaExceeded("newsapi", data.message);
+      }
+      throw new Error(`NewsAPI error: ${data.message}`);
     }
 
     let articles = data.articles || [];
@@ -57,14 +85,15 @@ async function fetchFromNewsAPI(params) {
 
   } catch (error) {
     console.warn(`❌ NewsAPI fetch failed:`, error.message);
+    if (options.throwOnError) throw error;
     return [];
   }
 }
 
 /* -------------------- GNews.io Integration -------------------- */
-async function fetchFromGNewsAPI(params) {
+async function fetchFromGNewsAPI(params, options = {}) {
   try {
-    const { q, lang, country, max, sortby } = params;
+    const { q, lang, country, max, sortby, from, to, page } = params;
     const apiKey = process.env.GNEWS_API_KEY;
 
     if (!apiKey) {
@@ -72,6 +101,8 @@ async function fetchFromGNewsAPI(params) {
       return [];
     }
 
+    if (!quotaAllows("gnews", "GNews", options)) return [];
+
     const baseUrl = country ?
       `https://gnews.io/api/v4/top-headlines?q=${encodeURIComponent(q)}&lang=${lang || 'hi'}&country=${country}&max=${max || 10}&apikey=${apiKey}` :
       `https://gnews.io/api/v4/search?q=${encodeURIComponent(q)}&lang=${lang || 'hi'}&max=${max || 10}&apikey=${apiKey}`;
@@ -80,6 +111,10 @@ async function fetchFromGNewsAPI(params) {
     if (sortby) {
       url += `&sortby=${sortby}`;
     }
+    // Date range / paging (used by backfill jobs)
+    if (from) url += `&from=${encodeURIComponent(from)}`;
+    if (to) url += `&to=${encodeURIComponent(to)}`;
+    if (page) url += `&page=${page}`;
 
     console.log(`📡 Fetching LATEST from GNews: ${q} (lang=${lang || 'hi'})`);
 
@@ -90,6 +125,10 @@ async function fetchFromGNewsAPI(params) {
 
     if (!response.ok) {
       const errorText = await response.text();
+      // GNews answers 403 once the daily request limit is reached, 429 when rate limited
+      if (isQuotaResponse(response.status, errorText)) {
+        recordQuotaExceeded("gnews", `HTTP ${response.status}: ${errorText.substring(0, 100)}`, Number(response.headers.get("retry-after")) || null);
+      }
       throw new Error(`GNews HTTP ${response.status}: ${errorText.substring(0, 100)}`);
     }
 
@@ -114,6 +153,7 @@ async function fetchFromGNewsAPI(params) {
 
   } catch (error) {
     console.warn(`❌ GNews fetch failed:`, error.message);
+    if (options.throwOnError) throw error;
     return [];
   }
 }
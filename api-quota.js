@@ -0,0 +1,205 @@
+// api-quota.js - Daily call budget for NewsAPI / GNews (per UTC day), paced across the day, persisted across restarts
+
+/* -------------------- Config -------------------- */
+const PROVIDER_LIMITS = {
+  newsapi: Number(process.env.NEWSAPI_DAILY_LIMIT) || 100,
+  gnews: Number(process.env.GNEWS_DAILY_LIMIT) || 100
+};
+
+// Share of the daily budget only region-priority queries may use
+const REGION_RESERVE_RATIO = Number(process.env.API_REGION_RESERVE_RATIO) || 0.25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Table columns: provider, day (date), used, blocked_until, last_error, updated_at — primary key (provider, day)
+const QUOTA_TABLE = process.env.QUOTA_TABLE || "api_quota_usage";
+
+// provider -> { day, used, blockedUntil, lastError, skipped }
+const quotaState = new Map();
+
+// Set once loadQuotaUsage has read today's counts; until then counts stay in memory only
+let quotaStore = null;
+// provider -> promise of the last write, so counts reach the table in order
+const pendingWrites = new Map();
+
+/* -------------------- Helpers -------------------- */
+function utcDay(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+}
+
+function getState(provider) {
+  const today = utcDay();
+  let state = quotaState.get(provider);
+  if (!state || state.day !== today) {
+    state = { day: today, used: 0, blockedUntil: null, lastError: null, skipped: 0 };
+    quotaState.set(provider, state);
+  }
+  return state;
+}
+
+/* -------------------- Persistence -------------------- */
+function persistState(provider) {
+  if (!quotaStore) return;
+  const state = getState(provider);
+  const row = {
+    provider,
+    day: state.day,
+    used: state.used,
+    blocked_until: state.blockedUntil,
+    last_error: state.lastError,
+    updated_at: new Date().toISOString()
+  };
+
+  const previous = pendingWrites.get(provider) || Promise.resolve();
+  const write = previous.then(async () => {
+    const { error } = await quotaStore.from(QUOTA_TABLE).upsert(row, { onConflict: "provider,day" });
+    if (error) throw error;
+  }).catch(e => {
+    console.warn(`⚠️ Could not persist ${provider} quota usage:`, e.message);
+  });
+  pendingWrites.set(provider, write);
+}
+
+/**
+ * Load today's usage so a restart does not hand out the daily budget again, then persist
+ * every later call. Never rejects: when the table cannot be read, counts stay in memory.
+ */
+async function loadQuotaUsage(supabase) {
+  if (!supabase) return;
+
+  try {
+    const { data, error } = await supabase
+      .from(QUOTA_TABLE)
+      .select("provider, day, used, blocked_until, last_error")
+      .eq("day", utcDay());
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      if (!PROVIDER_LIMITS[row.provider]) continue;
+      const state = getState(row.provider);
+      // Calls made while loading are not in the table yet
+      state.used += Number(row.used) || 0;
+      state.blockedUntil = state.blockedUntil || row.blocked_until || null;
+      state.lastError = state.lastError || row.last_error || null;
+      console.log(`📊 ${row.provider} quota: ${state.used}/${PROVIDER_LIMITS[row.provider]} used today`);
+    }
+
+    quotaStore = supabase;
+    for (const provider of Object.keys(PROVIDER_LIMITS)) {
+      if (getState(provider).used > 0) persistState(provider);
+    }
+  } catch (e) {
+    console.warn(`⚠️ Could not load API quota usage (${e.message}) — counting in memory only`);
+  }
+}
+
+function budgetFor(provider, now = new Date()) {
+  const limit = PROVIDER_LIMITS[provider] || 0;
+  const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const elapsed = Math.min(1, (now.getTime() - dayStart) / DAY_MS);
+  const burst = Math.max(2, Math.ceil(limit * 0.05));
+  const reserve = Math.ceil(limit * REGION_RESERVE_RATIO);
+
+  return {
+    limit,
+    reserve,
+    // Budget released so far today: spreads calls evenly instead of burning it all by mid-morning
+    paced: Math.min(limit, Math.ceil(limit * elapsed) + burst)
+  };
+}
+
+/* -------------------- Budget checks -------------------- */
+/**
+ * Decide whether a call to provider may be made now.
+ * purpose "region" may dip into the reserve kept back for region-first queries.
+ */
+function checkQuota(provider, { purpose = "general" } = {}) {
+  const state = getState(provider);
+  const now = new Date();
+
+  if (state.blockedUntil && now < new Date(state.blockedUntil)) {
+    return { allowed: false, reason: `quota exhausted until ${state.blockedUntil}` };
+  }
+
+  const { limit, reserve, paced } = budgetFor(provider, now);
+  const remaining = limit - state.used;
+  const isRegion = purpose === "region";
+
+  if (remaining <= 0) {
+    return { allowed: false, reason: `daily limit of ${limit} reached` };
+  }
+  if (!isRegion && remaining <= reserve) {
+    return { allowed: false, reason: `remaining ${remaining} calls reserved for region queries` };
+  }
+
+  // Region queries may run ahead of the pace by up to the reserve
+  const allowance = isRegion ? Math.min(limit, paced + reserve) : paced;
+  if (state.used >= allowance) {
+    return { allowed: false, reason: `paced budget used (${state.used}/${allowance} so far today)` };
+  }
+
+  return { allowed: true, remaining };
+}
+
+function recordApiCall(provider) {
+  const state = getState(provider);
+  state.used++;
+  persistState(provider);
+  return state.used;
+}
+
+function recordQuotaSkip(provider) {
+  getState(provider).skipped++;
+}
+
+/**
+ * Record a 429 / quota-exceeded response. The provider is skipped until the next UTC
+ * reset, or until Retry-After when the provider sends one.
+ */
+function recordQuotaExceeded(provider, message, retryAfterSeconds = null) {
+  const state = getState(provider);
+  const reset = nextUtcMidnight();
+  const retryAt = retryAfterSeconds ? new Date(Date.now() + retryAfterSeconds * 1000) : null;
+
+  state.blockedUntil = (retryAt && retryAt < reset ? retryAt : reset).toISOString();
+  state.lastError = message || "quota exceeded";
+  persistState(provider);
+  console.warn(`   🚫 ${provider} quota exceeded — skipping until ${state.blockedUntil}`);
+}
+
+/* -------------------- Reporting -------------------- */
+function getQuotaSnapshot() {
+  const snapshot = {};
+  for (const provider of Object.keys(PROVIDER_LIMITS)) {
+    const state = getState(provider);
+    const { limit, reserve, paced } = budgetFor(provider);
+    snapshot[provider] = {
+      day: state.day,
+      limit,
+      used: state.used,
+      remaining: Math.max(0, limit - state.used),
+      paced_allowance: paced,
+      region_reserve: reserve,
+      skipped: state.skipped,
+      blocked_until: state.blockedUntil,
+      last_error: state.lastError
+    };
+  }
+  return snapshot;
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  QUOTA_TABLE,
+  loadQuotaUsage,
+  checkQuota,
+  recordApiCall,
+  recordQuotaSkip,
+  recordQuotaExceeded,
+  getQuotaSnapshot
+};
@@ -5,6 +5,11 @@ const router = express.Router();
 
 // Import from server.js
 const { supabase, isProcessing, runScheduledProcessing } = require('./server');
+const { getSourceHealthSummary } = require('./source-health');
+const { getQuotaSnapshot } = require('./api-quota');
+const { getWebSubStatus } = require('./websub');
+const { getStoryTimeline, getArticleCoverage } = require('./story-clusters');
+const { listArticleVersions } = require('./source-updates');
 
 /* -------------------- API Routes -------------------- */
 router.get("/api/news", async (req, res) => {
@@ -16,7 +21,7 @@ router.get("/api/news", async (req, res) => {
 
     let query = supabase
       .from("ai_news")
-      .select("id,title,slug,short_desc,image_url,region,genre,published_at,created_at,meta", { count: "exact" })
+      .select("id,title,slug,short_desc,image_url,region,genre,published_at,created_at,updated_at,cluster_id,meta", { count: "exact" })
       .order("created_at", { ascending: false })
       .range(offset, offset + pageSize - 1);
 
@@ -83,6 +88,91 @@ router.get("/api/news/:slug", async (req, res) => {
   }
 });
 
+/* -------------------- Story Clusters -------------------- */
+// Timeline of related articles (oldest first) with every source that covered the story
+router.get("/api/news/:slug/coverage", async (req, res) => {
+  try {
+    const coverage = await getArticleCoverage(supabase, req.params.slug);
+
+    if (!coverage) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found"
+      });
+    }
+
+    res.json({ success: true, data: coverage });
+
+  } catch (error) {
+    console.error("API error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+      message: error.message
+    });
+  }
+});
+
+// Earlier versions of an article that was re-rewritten after its source changed
+router.get("/api/news/:slug/versions", async (req, res) => {
+  try {
+    const { data: article, error } = await supabase
+      .from("ai_news")
+      .select("id,slug,title,updated_at,meta")
+      .eq("slug", req.params.slug)
+      .maybeSingle();
+
+    if (error || !article) {
+      return res.status(404).json({
+        success: false,
+        error: "Article not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        article: { id: article.id, slug: article.slug, title: article.title },
+        version: article.meta?.version || 1,
+        updated_at: article.updated_at,
+        change_note: article.meta?.change_note || null,
+        previous_versions: await listArticleVersions(article.id)
+      }
+    });
+
+  } catch (error) {
+    console.error("API error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+      message: error.message
+    });
+  }
+});
+
+router.get("/api/stories/:clusterId", async (req, res) => {
+  try {
+    const story = await getStoryTimeline(supabase, req.params.clusterId);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        error: "Story not found"
+      });
+    }
+
+    res.json({ success: true, data: story });
+
+  } catch (error) {
+    console.error("API error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+      message: error.message
+    });
+  }
+});
+
 /* ---------------------------
    Robust region endpoint
    - case-insensitive handling
@@ -311,7 +401,10 @@ router.get("/health", (req, res) => {
       focus: "Latest news (last 24 hours) -> rewritten to Hindi",
       cleanup: "2 days retention",
       items_to_process: PROCESS_COUNT
-    }
+    },
+    sources: getSourceHealthSummary(),
+    api_quota: getQuotaSnapshot(),
+    websub: getWebSubStatus()
   });
 });
 
@@ -335,6 +428,9 @@ router.get("/", (req, res) => {
     endpoints: {
       news: "/api/news (shows newest first)",
       article: "/api/news/:slug",
+      coverage: "/api/news/:slug/coverage",
+      versions: "/api/news/:slug/versions",
+      story: "/api/stories/:clusterId",
       search: "/api/search",
       stats: "/api/stats",
       region: "/api/region/:region",
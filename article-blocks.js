@@ -0,0 +1,314 @@
+// article-blocks.js - Ordered body blocks (paragraph, heading, blockquote, list, image, embed) and their
+// round trip through the AI rewrite, stored as ai_news.ai_blocks next to the plain ai_content
+const { matchEmbedElement } = require("./embed-extractors");
+const { checkImageCandidate } = require("./image-quality");
+
+/*
+ * Block shapes:
+ *   { type: "paragraph", text }
+ *   { type: "heading", level, text }
+ *   { type: "blockquote", text, cite }
+ *   { type: "list", ordered, items: [text] }
+ *   { type: "image", url, caption, alt }
+ *   { type: "embed", provider, id, url, thumbnail }   (see embed-extractors.js)
+ */
+
+/* -------------------- Config -------------------- */
+const MAX_BLOCKS = 200;
+
+// Formatting tags that stay inside the surrounding paragraph
+const INLINE_TAGS = new Set([
+  "a", "abbr", "b", "bdi", "bdo", "cite", "code", "data", "del", "dfn", "em", "font", "i", "ins",
+  "kbd", "mark", "q", "s", "samp", "small", "span", "strong", "sub", "sup", "time", "u", "var", "wbr"
+]);
+const SKIP_TAGS = new Set(["script", "style", "noscript", "template", "form", "button", "input", "select", "textarea", "svg", "canvas", "table", "nav"]);
+const EMBED_SELECTOR = 'iframe, video, blockquote.twitter-tweet, blockquote.twitter-video, blockquote.instagram-media, .fb-video, .fb-post';
+// Elements that become image / embed blocks when picked out of a page one by one
+const MEDIA_SELECTOR = `figure, ${EMBED_SELECTOR}`;
+
+// Text blocks that are page furniture rather than story
+const JUNK_TEXT = /^(advertisement|विज्ञापन|also read|यह भी पढ़ें|ये भी पढ़ें|read more|और पढ़ें)\b/i;
+
+/* -------------------- Helpers -------------------- */
+function cleanInline(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function toAbsolute(url, pageUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(String(url).trim(), pageUrl || undefined);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function tagOf(el) {
+  return (el.tagName || el.name || "").toLowerCase();
+}
+
+function embedBlock(embed) {
+  return { type: "embed", provider: embed.type, id: embed.id, url: embed.url, thumbnail: embed.thumbnail };
+}
+
+function imageBlock($, img, pageUrl, caption = null) {
+  const $img = $(img);
+  const srcset = ($img.attr('srcset') || $img.attr('data-srcset') || "").split(",")[0].trim().split(/\s+/)[0];
+  const url = toAbsolute($img.attr('data-src') || $img.attr('data-lazy-src') || $img.attr('src') || srcset, pageUrl);
+  if (!url || checkImageCandidate(url, { width: $img.attr('width'), height: $img.attr('height') })) return null;
+
+  return { type: "image", url, caption: cleanInline(caption) || null, alt: cleanInline($img.attr('alt')) || null };
+}
+
+/* -------------------- DOM -> blocks -------------------- */
+/**
+ * Ordered blocks for already-cleaned content roots (noise removed, see article-extractor.js).
+ * Containers are walked; loose text between block elements becomes paragraphs.
+ */
+function blocksFromElements($, roots, pageUrl) {
+  const blocks = [];
+  let buffer = "";
+
+  const push = (block) => {
+    if (block && blocks.length < MAX_BLOCKS) blocks.push(block);
+  };
+  const pushText = (type, text, extra = {}) => {
+    const clean = cleanInline(text);
+    if (clean && !JUNK_TEXT.test(clean)) push({ type, ...extra, text: clean });
+  };
+  const flush = () => {
+    // <br><br> separates paragraphs in sites that don't use <p>
+    for (const part of buffer.split(/\n{2,}/)) pushText("paragraph", part);
+    buffer = "";
+  };
+
+  const visit = (node) => {
+    if (node.type === "text") {
+      // Source formatting whitespace is not structure; only <br> splits loose text
+      buffer += node.data.replace(/\s+/g, " ");
+      return;
+    }
+    if (node.type !== "tag" && node.type !== "script" && node.type !== "style") return;
+
+    const tag = tagOf(node);
+    const $node = $(node);
+
+    if (tag === "br") {
+      buffer += "\n\n";
+      return;
+    }
+    if (INLINE_TAGS.has(tag) && !$node.find(`img, br, ${EMBED_SELECTOR}`).length) {
+      buffer += $node.text().replace(/\s+/g, " ");
+      return;
+    }
+    if (SKIP_TAGS.has(tag)) return;
+
+    const embed = $node.is(EMBED_SELECTOR) ? matchEmbedElement($, node, pageUrl) : null;
+    if (embed || $node.is(EMBED_SELECTOR)) {
+      flush();
+      if (embed) push(embedBlock(embed));
+      return;
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      // <h1> repeats the headline, which is stored as the title
+      if (tag !== "h1") pushText("heading", $node.text(), { level: Number(tag[1]) });
+      return;
+    }
+
+    if (tag === "blockquote") {
+      flush();
+      const cite = cleanInline($node.find('cite, footer').first().text()) || null;
+      const quote = $node.clone();
+      quote.find('cite, footer').remove();
+      const text = quote.contents().map((i, child) => $(child).text()).get().join(" ");
+      pushText("blockquote", text, { cite });
+      return;
+    }
+
+    if (tag === "ul" || tag === "ol") {
+      flush();
+      const items = $node.children('li').map((i, li) => cleanInline($(li).text())).get().filter(Boolean);
+      // Link-only lists are tag clouds and "read more" widgets
+      const linkOnly = $node.children('li').get().every(li => cleanInline($(li).text()) === cleanInline($(li).find('a').text()));
+      if (items.length && !linkOnly) push({ type: "list", ordered: tag === "ol", items });
+      return;
+    }
+
+    if (tag === "figure") {
+      flush();
+      const caption = $node.find('figcaption').first().text();
+      const inner = $node.find(EMBED_SELECTOR).first();
+      const embedInside = inner.length ? matchEmbedElement($, inner[0], pageUrl) : null;
+      if (embedInside) {
+        push(embedBlock(embedInside));
+      } else {
+        const img = $node.find('img').first();
+        if (img.length) push(imageBlock($, img[0], pageUrl, caption));
+      }
+      return;
+    }
+
+    if (tag === "img") {
+      flush();
+      push(imageBlock($, node, pageUrl));
+      return;
+    }
+
+    if (tag === "p" && !$node.find(`img, ${EMBED_SELECTOR}`).length) {
+      flush();
+      pushText("paragraph", $node.text());
+      return;
+    }
+
+    // Containers (div, section, p wrapping an image, ...): walk the children
+    flush();
+    $node.contents().each((i, child) => visit(child));
+    flush();
+  };
+
+  for (const root of roots) {
+    visit(root);
+    flush();
+  }
+
+  return blocks;
+}
+
+/* -------------------- Rewrite round trip -------------------- */
+const MEDIA_TOKEN = /\[\[MEDIA (\d+)\]\]/g;
+
+/**
+ * Source text for the rewrite: blank lines between blocks, "## " headings, "> " quotes,
+ * "- " list items, and [[MEDIA n]] placeholders for images / embeds the model must keep in place.
+ * cleanText runs over every text so the caller's noise cleaning still applies per block.
+ * Returns { text, media } — media[n] is the block behind [[MEDIA n]].
+ */
+function blocksToRewriteSource(blocks, cleanText = (t) => t) {
+  const parts = [];
+  const media = [];
+
+  for (const block of blocks || []) {
+    if (block.type === "image" || block.type === "embed") {
+      parts.push(`[[MEDIA ${media.length}]]`);
+      media.push(block);
+    } else if (block.type === "list") {
+      const items = block.items.map(item => cleanInline(cleanText(item))).filter(Boolean);
+      if (items.length) parts.push(items.map(item => `- ${item}`).join("\n"));
+    } else {
+      const text = cleanInline(cleanText(block.text));
+      if (!text) continue;
+      if (block.type === "heading") parts.push(`${"#".repeat(Math.max(2, block.level || 2))} ${text}`);
+      else if (block.type === "blockquote") parts.push(`> ${text}`);
+      else parts.push(text);
+    }
+  }
+
+  return { text: parts.join("\n\n"), media };
+}
+
+/**
+ * Blocks from rewritten (or hand-written) text in the blocksToRewriteSource format. Plain text
+ * works too: every non-empty line is a paragraph. Placeholders the model dropped are appended
+ * at the end so no image or embed is lost.
+ */
+function parseRewrittenBlocks(text, media = []) {
+  const blocks = [];
+  const placed = new Set();
+  let list = null;
+
+  const placeMedia = (index) => {
+    if (media[index] && !placed.has(index)) {
+      placed.add(index);
+      blocks.push(media[index]);
+    }
+  };
+
+  // Placeholders inside a line become lines of their own
+  const lines = String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(MEDIA_TOKEN, "\n$&\n")
+    .split("\n")
+    .map(line => line.trim());
+
+  for (const line of lines) {
+    const listItem = line.match(/^(?:[-•*]|(\d+)[.)])\s+(.+)$/);
+    if (listItem) {
+      const ordered = !!listItem[1];
+      if (!list || list.ordered !== ordered) {
+        list = { type: "list", ordered, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(cleanInline(listItem[2]));
+      continue;
+    }
+    list = null;
+    if (!line) continue;
+
+    const token = line.match(/^\[\[MEDIA (\d+)\]\]$/);
+    const heading = line.match(/^(#{1,6})\s+(.+)$/);
+    const quote = line.match(/^>\s*(.+)$/);
+
+    if (token) placeMedia(Number(token[1]));
+    else if (heading) blocks.push({ type: "heading", level: Math.max(2, heading[1].length), text: cleanInline(heading[2]) });
+    else if (quote) blocks.push({ type: "blockquote", text: cleanInline(quote[1]), cite: null });
+    else blocks.push({ type: "paragraph", text: cleanInline(line) });
+  }
+
+  media.forEach((block, index) => placeMedia(index));
+  return blocks;
+}
+
+/**
+ * Plain article text (ai_content) for blocks: text blocks separated by blank lines, list items
+ * one per line; images and embeds are left out.
+ */
+function blocksToText(blocks) {
+  return (blocks || [])
+    .map(block => {
+      if (block.type === "list") return block.items.map(item => `• ${item}`).join("\n");
+      if (block.type === "image" || block.type === "embed") return "";
+      return block.text || "";
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * The leading blocks holding up to maxWords words of text; images and embeds further down are kept.
+ */
+function truncateBlocks(blocks, maxWords) {
+  const out = [];
+  let words = 0;
+
+  for (const block of blocks || []) {
+    if (block.type === "image" || block.type === "embed") {
+      out.push(block);
+      continue;
+    }
+    if (words >= maxWords) continue;
+
+    const count = blocksToText([block]).split(/\s+/).filter(Boolean).length;
+    if (words + count > maxWords && block.type === "paragraph") {
+      out.push({ ...block, text: block.text.split(/\s+/).slice(0, maxWords - words).join(" ") });
+      words = maxWords;
+      continue;
+    }
+    out.push(block);
+    words += count;
+  }
+
+  return out;
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  MEDIA_SELECTOR,
+  blocksFromElements,
+  blocksToRewriteSource,
+  parseRewrittenBlocks,
+  blocksToText,
+  truncateBlocks
+};
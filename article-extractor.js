@@ -0,0 +1,353 @@
+// article-extractor.js - Body, image and video extraction from an already-parsed page (see page-fetcher.js)
+// The cheerio document is shared between extractors, so nothing here may modify it.
+const fs = require("fs");
+const path = require("path");
+const { extractEmbeds } = require("./embed-extractors");
+const { checkImageCandidate } = require("./image-quality");
+const { MEDIA_SELECTOR, blocksFromElements } = require("./article-blocks");
+
+/* -------------------- Config -------------------- */
+const NOISE_SELECTOR = 'script, style, nav, footer, header, aside, .sidebar, .advertisement, .ads, .social-share';
+
+const CONTENT_SELECTORS = [
+  'article',
+  '.article-body',
+  '.story-body',
+  '.story-content',
+  '.entry-content',
+  '.post-content',
+  '.td-post-content',
+  '.news-detail',
+  '.wp-block-post-content',
+  '#content',
+  '.ArticleBody',
+  '.cn__content',
+  '.story-section',
+  '.article-container',
+  'main',
+  '.content-area'
+];
+
+// Widgets that pollute the generic paragraph fallback (related stories, trending lists, sidebars)
+const FALLBACK_EXCLUDE_SELECTOR = [
+  '[class*="related"]', '[class*="sidebar"]', '[class*="trending"]', '[class*="recommend"]',
+  '[class*="also-read"]', '[class*="read-more"]', '[class*="taboola"]', '[class*="outbrain"]',
+  '.comments', '#comments'
+].join(', ');
+
+// Per-domain rules (see the file's _format entry); reloaded when the file changes
+const RULES_FILE = process.env.EXTRACTION_RULES_FILE || path.join(__dirname, "extraction-rules.json");
+const RULES_CHECK_MS = 30 * 1000;
+const DEFAULT_RULE_MIN_LENGTH = 300;
+
+const IMAGE_META_SELECTORS = [
+  'meta[property="og:image"]',
+  'meta[name="twitter:image"]'
+];
+
+const IMAGE_SELECTORS = [
+  '.article-img img',
+  '.story-img img',
+  '.featured-image img',
+  '.wp-post-image'
+];
+
+/* -------------------- Per-domain rules -------------------- */
+let rulesState = { rules: {}, mtimeMs: 0, loadedAt: null, checkedAt: 0, error: null };
+
+function normalizeRule(rule) {
+  const list = (value) => (Array.isArray(value) ? value : value ? [value] : []).filter(v => typeof v === "string" && v.trim());
+  return {
+    content: list(rule.content),
+    remove: list(rule.remove),
+    paragraphs: typeof rule.paragraphs === "string" && rule.paragraphs.trim() ? rule.paragraphs : null,
+    minLength: Number(rule.minLength) || DEFAULT_RULE_MIN_LENGTH
+  };
+}
+
+function parseRules(raw) {
+  const rules = {};
+  for (const [host, rule] of Object.entries(raw || {})) {
+    // "_"-prefixed keys are documentation
+    if (host.startsWith("_") || !rule || typeof rule !== "object") continue;
+    rules[host.toLowerCase().replace(/^www\./, "")] = normalizeRule(rule);
+  }
+  return rules;
+}
+
+function loadRules() {
+  const now = Date.now();
+  if (now - rulesState.checkedAt < RULES_CHECK_MS) return rulesState.rules;
+  rulesState.checkedAt = now;
+
+  try {
+    const stat = fs.statSync(RULES_FILE);
+    if (stat.mtimeMs === rulesState.mtimeMs) return rulesState.rules;
+
+    const rules = parseRules(JSON.parse(fs.readFileSync(RULES_FILE, "utf8")));
+    rulesState = { rules, mtimeMs: stat.mtimeMs, loadedAt: new Date().toISOString(), checkedAt: now, error: null };
+    console.log(`📐 Loaded extraction rules for ${Object.keys(rules).length} domain(s)`);
+  } catch (e) {
+    // Keep the last good rules; a broken edit must not stop extraction
+    if (rulesState.error !== e.message) {
+      console.warn(`⚠️ Could not load extraction rules from ${RULES_FILE}:`, e.message);
+    }
+    rulesState.error = e.message;
+  }
+
+  return rulesState.rules;
+}
+
+/**
+ * Rule for a page URL: the longest configured host that equals or is a parent of the page host.
+ * Resolves to { domain, rule } or null. `rules` overrides the file (raw file format).
+ */
+function findExtractionRule(pageUrl, rules = null) {
+  let host;
+  try {
+    host = new URL(pageUrl).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+
+  const table = rules ? parseRules(rules) : loadRules();
+  const domain = Object.keys(table)
+    .filter(d => host === d || host.endsWith(`.${d}`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return domain ? { domain, rule: table[domain] } : null;
+}
+
+function getExtractionRulesStatus() {
+  loadRules();
+  return {
+    file: RULES_FILE,
+    loaded_at: rulesState.loadedAt,
+    error: rulesState.error,
+    domains: Object.keys(rulesState.rules),
+    rules: rulesState.rules
+  };
+}
+
+/* -------------------- Helpers -------------------- */
+function outsideNoise($, selection, exclude = NOISE_SELECTOR) {
+  return selection.filter((i, el) => $(el).parents(exclude).length === 0);
+}
+
+// Detached copy of an element without its noisy descendants
+function cleanCopy($, element) {
+  const copy = element.clone();
+  copy.find(NOISE_SELECTOR).remove();
+  return copy;
+}
+
+// Elements of a selection that are not inside another element of it
+function topLevel($, selection) {
+  return selection.filter((i, el) => !$(el).parents().is(selection));
+}
+
+// Spaces collapse inside lines; paragraph breaks survive
+function normalizeBodyText(text) {
+  return text
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{2,}/g, '\n\n')
+    .trim();
+}
+
+/* -------------------- Body -------------------- */
+function extractWithRule($, rule) {
+  const remove = [NOISE_SELECTOR, ...rule.remove].join(', ');
+
+  for (const selector of rule.content) {
+    try {
+      const element = $(selector).first();
+      if (!element.length) continue;
+
+      const copy = element.clone();
+      copy.find(remove).remove();
+
+      const text = rule.paragraphs
+        ? copy.find(rule.paragraphs).map((i, el) => $(el).text().trim()).get().filter(Boolean).join('\n\n')
+        : copy.text().trim();
+
+      if (text.length >= rule.minLength) {
+        const roots = rule.paragraphs ? topLevel($, copy.find(`${rule.paragraphs}, ${MEDIA_SELECTOR}`)).get() : [copy[0]];
+        return { text, selector, roots };
+      }
+    } catch (e) {
+      // Invalid selector in the rules file; try the next one
+      console.warn(`⚠️ Extraction rule selector failed (${selector}):`, e.message);
+    }
+  }
+
+  return null;
+}
+
+function extractGeneric($) {
+  for (const selector of CONTENT_SELECTORS) {
+    const element = outsideNoise($, $(selector)).not(NOISE_SELECTOR).first();
+    if (element.length) {
+      const copy = cleanCopy($, element);
+      const text = copy.text().trim();
+      const wordCount = text.split(/\s+/).length;
+
+      if (wordCount > 200) {
+        // A short container usually means the body is split up; use the paragraphs instead
+        if (text.length >= 1000) return { text, method: "generic_container", selector, roots: [copy[0]] };
+        break;
+      }
+    }
+  }
+
+  const paragraphs = [];
+  const roots = [];
+  const candidates = outsideNoise($, $(`p, h2, h3, ${MEDIA_SELECTOR}`), `${NOISE_SELECTOR}, ${FALLBACK_EXCLUDE_SELECTOR}`);
+  topLevel($, candidates).each((i, elem) => {
+    if ($(elem).is(MEDIA_SELECTOR)) {
+      roots.push(elem);
+      return;
+    }
+    const text = $(elem).text().trim();
+    if (text.length > 50 &&
+        !text.includes('©') &&
+        !text.includes('Copyright') &&
+        !text.includes('ADVERTISEMENT')) {
+      paragraphs.push(text);
+      roots.push(elem);
+    }
+  });
+
+  return { text: paragraphs.join('\n\n'), method: "generic_paragraphs", selector: 'p, h2, h3', roots };
+}
+
+/**
+ * Body extraction with the details needed to tune rules: the domain rule when one matches
+ * and yields enough text, else the generic container / paragraph logic.
+ * options.rules overrides the rules file (raw format), for previews.
+ * Returns { text, blocks, method: "rule" | "generic_container" | "generic_paragraphs", selector, domain, rule },
+ * blocks being the ordered body blocks of article-blocks.js.
+ */
+function extractArticleBodyDetailed($, pageUrl, options = {}) {
+  const match = pageUrl ? findExtractionRule(pageUrl, options.rules) : null;
+
+  if (match) {
+    const result = extractWithRule($, match.rule);
+    if (result) {
+      return {
+        text: normalizeBodyText(result.text),
+        blocks: blocksFromElements($, result.roots, pageUrl),
+        method: "rule",
+        selector: result.selector,
+        domain: match.domain,
+        rule: match.rule
+      };
+    }
+  }
+
+  const generic = extractGeneric($);
+  return {
+    text: normalizeBodyText(generic.text),
+    blocks: blocksFromElements($, generic.roots, pageUrl),
+    method: generic.method,
+    selector: generic.selector,
+    domain: match ? match.domain : null,
+    rule: match ? match.rule : null
+  };
+}
+
+/**
+ * Main article text and its blocks, { text, blocks }, or null below 500 characters.
+ */
+function extractArticleContent($, pageUrl) {
+  const { text, blocks } = extractArticleBodyDetailed($, pageUrl);
+  return text.length > 500 ? { text, blocks } : null;
+}
+
+/**
+ * Main article text for a page, or null below 500 characters.
+ */
+function extractArticleBody($, pageUrl) {
+  const content = extractArticleContent($, pageUrl);
+  return content ? content.text : null;
+}
+
+/* -------------------- Image -------------------- */
+function toAbsolute(url, pageUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(url.trim(), pageUrl || undefined);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Every lead-image candidate in preference order: og:image / twitter:image, then the known
+ * article image selectors. Returns [{ url, source, width, height }] with absolute URLs;
+ * width / height are the declared sizes (og:image:width, <img width>) or null.
+ */
+function extractArticleImageCandidates($, pageUrl) {
+  const candidates = [];
+  const add = (url, source, width, height) => {
+    const absolute = toAbsolute(url, pageUrl);
+    if (absolute && !candidates.some(c => c.url === absolute)) {
+      candidates.push({ url: absolute, source, width: Number(width) || null, height: Number(height) || null });
+    }
+  };
+
+  for (const selector of IMAGE_META_SELECTORS) {
+    const isOg = selector.includes('og:image');
+    add(
+      $(selector).attr('content'),
+      selector,
+      isOg ? $('meta[property="og:image:width"]').attr('content') : null,
+      isOg ? $('meta[property="og:image:height"]').attr('content') : null
+    );
+  }
+
+  for (const selector of IMAGE_SELECTORS) {
+    $(selector).slice(0, 3).each((i, el) => {
+      const img = $(el);
+      add(img.attr('src') || img.attr('data-src'), selector, img.attr('width'), img.attr('height'));
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Lead image: the first candidate that is not a logo, placeholder or tracking pixel by URL and
+ * declared size (see image-quality.js). Absolute URL or null.
+ */
+function extractArticleImage($, pageUrl) {
+  const candidate = extractArticleImageCandidates($, pageUrl).find(c => !checkImageCandidate(c.url, c));
+  return candidate ? candidate.url : null;
+}
+
+/* -------------------- Videos -------------------- */
+// Players in these containers belong to other stories
+const EMBED_EXCLUDE_SELECTOR = `nav, footer, aside, .sidebar, ${FALLBACK_EXCLUDE_SELECTOR}`;
+
+/**
+ * Embedded videos and social posts as { type, id, url, thumbnail } (see embed-extractors.js),
+ * or null when the page has none.
+ */
+function extractArticleVideos($, pageUrl) {
+  const videos = extractEmbeds($, pageUrl, { exclude: EMBED_EXCLUDE_SELECTOR });
+  return videos.length > 0 ? videos : null;
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  CONTENT_SELECTORS,
+  findExtractionRule,
+  getExtractionRulesStatus,
+  extractArticleBody,
+  extractArticleBodyDetailed,
+  extractArticleContent,
+  extractArticleImage,
+  extractArticleImageCandidates,
+  extractArticleVideos
+};
@@ -0,0 +1,429 @@
+// backfill.js - Historical backfill jobs: collect a date range from selected sources, process oldest-first
+const { supabase, normalizeArticle, processNewsItemDetailed, enqueueTask } = require("./server");
+const { loadSources } = require("./source-registry");
+const { fetchRSSFeed } = require("./rss-fetcher");
+const { fetchFromNewsAPI, fetchFromGNewsAPI } = require("./api-fetchers");
+const { fetchNewsSitemap } = require("./sitemap-fetcher");
+const { fetchHTMLList } = require("./html-list-fetcher");
+const { fetchGoogleNewsRSS } = require("./google-news-fetcher");
+const { fetchYouTubeFeed } = require("./youtube-fetcher");
+const { urlKey } = require("./url-canonical");
+
+/* -------------------- Config -------------------- */
+// Table columns: id, status, range_from, range_to, sources (jsonb), options (jsonb), cursor (jsonb),
+// items (jsonb), stats (jsonb), last_error, created_by, created_at, updated_at, completed_at
+const BACKFILL_TABLE = process.env.BACKFILL_TABLE || "backfill_jobs";
+
+const ITEM_DELAY_MS = Number(process.env.BACKFILL_ITEM_DELAY_MS) || 15000;
+const DEFAULT_MAX_ITEMS = Number(process.env.BACKFILL_MAX_ITEMS) || 200;
+const DEFAULT_MAX_PAGES = 5;
+const MAX_ARCHIVE_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// jobId -> { stop: null | "paused" | "cancelled" }
+const runningJobs = new Map();
+// Set while a new job row is being inserted, before it shows up in runningJobs
+let startingJob = false;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/* -------------------- Helpers -------------------- */
+function isoDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// GNews rejects fractional seconds: it wants YYYY-MM-DDThh:mm:ssZ
+function gnewsTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function inRange(item, from, to) {
+  const t = new Date(item.pubDate || item.publishedAt || 0).getTime();
+  return t >= from.getTime() && t <= to.getTime();
+}
+
+/**
+ * Expand an archive URL template for the range:
+ * {date} (YYYY-MM-DD), {yyyy}, {mm}, {dd} -> one URL per day; {page} -> pages 1..maxPages.
+ */
+function expandArchiveUrls(template, from, to, maxPages) {
+  if (/\{(date|yyyy|mm|dd)\}/.test(template)) {
+    const urls = [];
+    for (let t = from.getTime(); t <= to.getTime() && urls.length < MAX_ARCHIVE_DAYS; t += DAY_MS) {
+      const day = isoDay(t);
+      const [yyyy, mm, dd] = day.split("-");
+      urls.push(template
+        .replace(/\{date\}/g, day)
+        .replace(/\{yyyy\}/g, yyyy)
+        .replace(/\{mm\}/g, mm)
+        .replace(/\{dd\}/g, dd));
+    }
+    return urls;
+  }
+
+  if (template.includes("{page}")) {
+    return Array.from({ length: maxPages }, (_, i) => template.replace(/\{page\}/g, String(i + 1)));
+  }
+
+  return [template];
+}
+
+/* -------------------- Collection per source type -------------------- */
+async function collectFromArchive(config, from, to, maxPages, fetchPage) {
+  const items = [];
+  for (const url of expandArchiveUrls(config.archiveUrlTemplate, from, to, maxPages)) {
+    const pageItems = await fetchPage(url);
+    items.push(...pageItems);
+
+    // Paged archives run newest -> oldest: stop once a page is empty or entirely before the range
+    if (config.archiveUrlTemplate.includes("{page}") &&
+        (pageItems.length === 0 || pageItems.every(it => new Date(it.pubDate || 0) < from))) {
+      break;
+    }
+  }
+  return items;
+}
+
+async function collectFromSource(source, from, to, maxPages) {
+  const config = source.config || {};
+  const options = { throwOnError: true, purpose: "backfill" };
+
+  switch (source.type) {
+    case "NEWSAPI": {
+      const items = [];
+      const pageSize = 100;
+      for (let page = 1; page <= maxPages; page++) {
+        const batch = await fetchFromNewsAPI({ ...config, from: from.toISOString(), to: to.toISOString(), page, pageSize }, options);
+        items.push(...batch);
+        if (batch.length < pageSize) break;
+      }
+      return items;
+    }
+
+    case "GNEWS": {
+      const items = [];
+      const max = config.max || 10;
+      for (let page = 1; page <= maxPages; page++) {
+        const batch = await fetchFromGNewsAPI({ ...config, from: gnewsTime(from), to: gnewsTime(to), page, max }, options);
+        items.push(...batch);
+        if (batch.length < max) break;
+      }
+      return items;
+    }
+
+    case "SITEMAP":
+      if (config.archiveUrlTemplate) {
+        return collectFromArchive(config, from, to, maxPages,
+          url => fetchNewsSitemap(url, 1000, { from, to, throwOnError: true }));
+      }
+      return fetchNewsSitemap(config.url, 1000, { from, to, throwOnError: true });
+
+    case "HTML_LIST": {
+      const fetchPage = url => fetchHTMLList({ ...config, url, maxItems: 1000, sourceName: source.name }, options);
+      return config.archiveUrlTemplate
+        ? collectFromArchive(config, from, to, maxPages, fetchPage)
+        : fetchPage(config.url);
+    }
+
+    case "GOOGLE_NEWS_RSS":
+      // Google News search operators restrict the results to the range
+      return fetchGoogleNewsRSS({
+        ...config,
+        when: null,
+        q: `${config.q} after:${isoDay(from)} before:${isoDay(to.getTime() + DAY_MS)}`,
+        maxItems: 100,
+        sourceName: source.name
+      }, options);
+
+    case "YOUTUBE":
+      return fetchYouTubeFeed({ ...config, maxItems: 1000, sourceName: source.name }, options);
+
+    case "RSS":
+      // Feeds only carry recent items; whatever falls in the range is used
+      return fetchRSSFeed(config.url, 1000, { useCache: false, throwOnError: true });
+
+    default:
+      throw new Error(`Unsupported source type ${source.type}`);
+  }
+}
+
+/**
+ * Collect normalized items in [from, to] from the job's sources, oldest first.
+ */
+async function collectBackfillItems(job) {
+  const from = new Date(job.range_from);
+  const to = new Date(job.range_to);
+  const options = job.options || {};
+  const maxPages = Number(options.max_pages) || DEFAULT_MAX_PAGES;
+  const maxItems = Number(options.max_items) || DEFAULT_MAX_ITEMS;
+  const sources = await loadSources(supabase);
+
+  const collected = [];
+  const notes = [];
+
+  for (const key of job.sources) {
+    const source = sources[key];
+    if (!source) {
+      notes.push(`${key}: unknown or disabled source`);
+      continue;
+    }
+
+    try {
+      const raw = await collectFromSource(source, from, to, maxPages);
+      const normalized = raw
+        .filter(it => inRange(it, from, to))
+        .map(it => {
+          const item = normalizeArticle(it, { key, ...source });
+          item.meta = { ...(item.meta || {}), isLatest: false, backfill: job.id };
+          return item;
+        });
+
+      console.log(`   📚 Backfill ${job.id}: ${normalized.length} items in range from ${source.name}`);
+      collected.push(...normalized);
+    } catch (e) {
+      console.warn(`   ❌ Backfill ${job.id}: ${source.name} failed:`, e.message);
+      notes.push(`${key}: ${e.message}`);
+    }
+  }
+
+  const unique = [];
+  const seen = new Set();
+  for (const item of collected) {
+    if (item.url && !seen.has(urlKey(item.url))) {
+      seen.add(urlKey(item.url));
+      unique.push(item);
+    }
+  }
+
+  const items = unique
+    .sort((a, b) => new Date(a.pubDate || 0) - new Date(b.pubDate || 0))
+    .slice(0, maxItems);
+
+  return { items, notes };
+}
+
+/* -------------------- Job storage -------------------- */
+async function getBackfillJob(id) {
+  const { data, error } = await supabase
+    .from(BACKFILL_TABLE)
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function listBackfillJobs(limit = 20) {
+  // items can be large; the list only needs progress
+  const { data, error } = await supabase
+    .from(BACKFILL_TABLE)
+    .select("id, status, range_from, range_to, sources, options, cursor, stats, last_error, created_by, created_at, updated_at, completed_at")
+    .order("created_at", { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function updateBackfillJob(id, fields) {
+  const { data, error } = await supabase
+    .from(BACKFILL_TABLE)
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/* -------------------- Validation -------------------- */
+function validateBackfill(payload) {
+  const errors = [];
+  const p = payload || {};
+  const from = new Date(p.from);
+  const to = new Date(p.to);
+
+  if (!p.from || isNaN(from.getTime())) errors.push("from must be a valid date");
+  if (!p.to || isNaN(to.getTime())) errors.push("to must be a valid date");
+  if (!errors.length && from > to) errors.push("from must be before to");
+  if (!errors.length && to > new Date()) errors.push("to cannot be in the future");
+  if (!Array.isArray(p.sources) || p.sources.length === 0) errors.push("sources must be a non-empty array of source keys");
+  if (p.max_items !== undefined && !(Number(p.max_items) > 0)) errors.push("max_items must be a positive number");
+  if (p.max_pages !== undefined && !(Number(p.max_pages) > 0)) errors.push("max_pages must be a positive number");
+
+  return errors;
+}
+
+/* -------------------- Runner -------------------- */
+function isBackfillRunning() {
+  return startingJob || runningJobs.size > 0;
+}
+
+async function runBackfillJob(id) {
+  if (runningJobs.has(id)) return;
+  const control = { stop: null };
+  runningJobs.set(id, control);
+
+  try {
+    let job = await updateBackfillJob(id, { status: "running", last_error: null });
+    if (!job) throw new Error(`Backfill job ${id} not found`);
+
+    console.log(`📚 Backfill ${id} running: ${job.range_from} → ${job.range_to} (${job.sources.join(", ")})`);
+
+    // Phase 1: collect (re-run from scratch if interrupted before the checkpoint)
+    if (!job.cursor || job.cursor.phase !== "process") {
+      const { items, notes } = await collectBackfillItems(job);
+      job = await updateBackfillJob(id, {
+        items,
+        cursor: { phase: "process", next_index: 0 },
+        stats: { ...(job.stats || {}), collected: items.length, notes }
+      });
+      console.log(`📚 Backfill ${id}: ${items.length} items to process (oldest first)`);
+    }
+
+    // Phase 2: process oldest-first, checkpointing after every item
+    const items = job.items || [];
+    const stats = { created: 0, skipped: 0, failed: 0, ...(job.stats || {}) };
+    let index = job.cursor.next_index || 0;
+
+    while (index < items.length) {
+      if (control.stop) {
+        await updateBackfillJob(id, { status: control.stop });
+        console.log(`⏹️ Backfill ${id} ${control.stop} at ${index}/${items.length}`);
+        return;
+      }
+
+      const result = await enqueueTask(() => processNewsItemDetailed(items[index], "backfill"));
+      if (result.status === "created") stats.created++;
+      else if (result.status === "skipped") stats.skipped++;
+      else stats.failed++;
+
+      index++;
+      await updateBackfillJob(id, { cursor: { phase: "process", next_index: index }, stats });
+
+      if (index < items.length) await sleep(ITEM_DELAY_MS);
+    }
+
+    await updateBackfillJob(id, { status: "completed", completed_at: new Date().toISOString() });
+    console.log(`✅ Backfill ${id} completed: ${stats.created} created, ${stats.skipped} skipped, ${stats.failed} failed`);
+
+  } catch (e) {
+    console.error(`❌ Backfill ${id} failed:`, e.message);
+    try {
+      await updateBackfillJob(id, { status: "failed", last_error: e.message });
+    } catch (updateError) {
+      console.warn(`Could not record backfill failure:`, updateError.message);
+    }
+  } finally {
+    runningJobs.delete(id);
+  }
+}
+
+/* -------------------- Job control (used by admin routes) -------------------- */
+/**
+ * Create a job and start it in the background. One job runs at a time.
+ */
+async function startBackfill(payload, createdBy = null) {
+  if (isBackfillRunning()) {
+    throw Object.assign(new Error("Another backfill job is running"), { code: "BACKFILL_BUSY" });
+  }
+  // Claimed synchronously: a second request arriving during the insert sees the job as running
+  startingJob = true;
+
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from(BACKFILL_TABLE)
+      .insert([{
+        status: "pending",
+        range_from: new Date(payload.from).toISOString(),
+        range_to: new Date(payload.to).toISOString(),
+        sources: payload.sources,
+        options: {
+          ...(payload.max_items ? { max_items: Number(payload.max_items) } : {}),
+          ...(payload.max_pages ? { max_pages: Number(payload.max_pages) } : {})
+        },
+        cursor: null,
+        items: [],
+        stats: {},
+        created_by: createdBy,
+        created_at: now,
+        updated_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Registers the job in runningJobs before the flag is cleared
+    runBackfillJob(data.id);
+    return data;
+  } finally {
+    startingJob = false;
+  }
+}
+
+async function resumeBackfill(id) {
+  const job = await getBackfillJob(id);
+  if (!job) return null;
+
+  if (runningJobs.has(id)) return job;
+  if (isBackfillRunning()) {
+    throw Object.assign(new Error("Another backfill job is running"), { code: "BACKFILL_BUSY" });
+  }
+  if (job.status === "completed" || job.status === "cancelled") {
+    throw Object.assign(new Error(`Job is ${job.status}`), { code: "BACKFILL_FINISHED" });
+  }
+
+  runBackfillJob(id);
+  return job;
+}
+
+/**
+ * Pause or cancel a job. A running job stops before its next item.
+ */
+async function stopBackfill(id, status) {
+  const control = runningJobs.get(id);
+  if (control) {
+    control.stop = status;
+    return getBackfillJob(id);
+  }
+  return updateBackfillJob(id, { status });
+}
+
+/**
+ * Jobs left "running" by a restart continue from their checkpoint.
+ */
+async function resumeInterruptedBackfills() {
+  try {
+    const { data, error } = await supabase
+      .from(BACKFILL_TABLE)
+      .select("id")
+      .eq("status", "running")
+      .order("created_at", { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    if (data && data.length > 0) {
+      console.log(`📚 Resuming interrupted backfill ${data[0].id}`);
+      runBackfillJob(data[0].id);
+    }
+  } catch (e) {
+    console.warn(`⚠️ Could not check for interrupted backfills:`, e.message);
+  }
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  BACKFILL_TABLE,
+  validateBackfill,
+  startBackfill,
+  resumeBackfill,
+  stopBackfill,
+  getBackfillJob,
+  listBackfillJobs,
+  resumeInterruptedBackfills,
+  expandArchiveUrls
+};
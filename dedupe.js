@@ -0,0 +1,495 @@
+// dedupe.js - Cross-source near-duplicate detection (script-independent title tokens + SimHash, Devanagari and Latin)
+const crypto = require("crypto");
+const { urlKey } = require("./url-canonical");
+
+/* -------------------- Config -------------------- */
+// 0..1: how similar two stories must be to count as the same event
+const SIMILARITY_THRESHOLD = Number(process.env.DEDUPE_SIMILARITY_THRESHOLD) || 0.6;
+// Headlines must also share this many informative title tokens, so short template titles
+// ("Gold price today ...") never match on their template alone
+const MIN_SHARED_TOKENS = Number(process.env.DEDUPE_MIN_SHARED_TOKENS) || 3;
+// "attach": record the duplicate on the existing article; "drop": discard it
+const DEDUPE_MODE = (process.env.DEDUPE_MODE || "attach").toLowerCase();
+const LOOKBACK_HOURS = Number(process.env.DEDUPE_LOOKBACK_HOURS) || 48;
+const MAX_RECENT_ROWS = 500;
+const MAX_ADDITIONAL_SOURCES = 20;
+
+/* -------------------- Cross-script normalization -------------------- */
+// Hindi and English headlines of one event rarely share spelling, so both are reduced to one form:
+// news vocabulary becomes a shared "#concept" token, number words become digits, and everything
+// else (mostly names) becomes a consonant skeleton. "देहरादून में सड़क हादसा, दो की मौत" and
+// "Dehradun road accident: two dead" both give dhrdn #road #accident 2 #death.
+const CONCEPTS = {
+  accident: ["accident", "accidents", "crash", "crashes", "collision", "हादसा", "हादसे", "हादसों", "दुर्घटना", "दुर्घटनाग्रस्त"],
+  death: ["dead", "death", "deaths", "died", "dies", "die", "killed", "मौत", "मौतें", "मृत्यु", "मरे", "मृत"],
+  injured: ["injured", "injuries", "injury", "hurt", "घायल", "जख्मी", "ज़ख्मी"],
+  missing: ["missing", "लापता"],
+  road: ["road", "roads", "highway", "सड़क", "सड़कें", "हाईवे", "राजमार्ग"],
+  vehicle: ["car", "cars", "jeep", "suv", "कार", "जीप"],
+  bus: ["bus", "buses", "बस"],
+  truck: ["truck", "trucks", "ट्रक"],
+  gorge: ["gorge", "ditch", "खाई"],
+  cloudburst: ["cloudburst", "cloud burst", "बादल फटा", "बादल फटने", "बादल फटने से", "बादल फटी"],
+  landslide: ["landslide", "landslides", "भूस्खलन"],
+  rain: ["rain", "rains", "rainfall", "बारिश", "वर्षा"],
+  flood: ["flood", "floods", "flooding", "बाढ़"],
+  snowfall: ["snow", "snowfall", "बर्फबारी", "हिमपात"],
+  earthquake: ["earthquake", "quake", "tremors", "भूकंप"],
+  fire: ["fire", "blaze", "आग", "आगजनी"],
+  murder: ["murder", "murdered", "हत्या"],
+  arrest: ["arrest", "arrested", "arrests", "गिरफ्तार", "गिरफ्तारी"],
+  rescue: ["rescue", "rescued", "बचाव", "रेस्क्यू"],
+  leopard: ["leopard", "गुलदार", "तेंदुआ", "तेंदुए"],
+  tiger: ["tiger", "बाघ"],
+  river: ["river", "नदी"],
+  village: ["village", "villages", "गांव", "गाँव", "ग्रामीण"],
+  temple: ["temple", "मंदिर"],
+  pilgrim: ["pilgrim", "pilgrims", "devotees", "श्रद्धालु", "तीर्थयात्री"],
+  school: ["school", "schools", "स्कूल", "विद्यालय"],
+  student: ["student", "students", "छात्र", "छात्रों", "छात्रा"],
+  exam: ["exam", "exams", "examination", "परीक्षा"],
+  result: ["result", "results", "परिणाम", "रिजल्ट"],
+  election: ["election", "elections", "poll", "polls", "चुनाव"],
+  vote: ["vote", "votes", "voting", "मतदान"],
+  announce: ["announce", "announced", "announces", "announcement", "घोषणा"],
+  inaugurate: ["inaugurate", "inaugurated", "inaugurates", "inauguration", "उद्घाटन", "लोकार्पण"],
+  meeting: ["meeting", "meet", "बैठक"],
+  price: ["price", "prices", "rate", "rates", "दाम", "भाव", "कीमत", "कीमतें"],
+  gold: ["gold", "सोना", "सोने"],
+  silver: ["silver", "चांदी", "चाँदी"],
+  weather: ["weather", "मौसम"],
+  heavy: ["heavy", "भारी"],
+  // Generic: present in a large share of headlines, see GENERIC_TOKENS
+  cm: ["cm", "chief minister", "मुख्यमंत्री", "सीएम"],
+  pm: ["pm", "prime minister", "प्रधानमंत्री", "पीएम"],
+  minister: ["minister", "ministers", "मंत्री"],
+  government: ["government", "govt", "सरकार", "सरकारी"],
+  today: ["today", "आज"],
+  update: ["update", "updates", "breaking", "big", "बड़ी", "बड़ा", "खबर", "समाचार"],
+  india: ["india", "indian", "भारत", "देश", "national", "राष्ट्रीय"],
+  state: ["state", "राज्य", "प्रदेश"],
+  uttarakhand: ["uttarakhand", "उत्तराखंड", "उत्तराखण्ड"]
+};
+
+const NUMBER_WORDS = {
+  two: "2", three: "3", four: "4", five: "5", six: "6", seven: "7", eight: "8", nine: "9", ten: "10",
+  "दो": "2", "तीन": "3", "चार": "4", "पांच": "5", "पाँच": "5", "छह": "6", "छः": "6", "सात": "7", "आठ": "8", "नौ": "9", "दस": "10"
+};
+
+// Tokens too common in this feed mix to say two headlines are about the same event
+const GENERIC_TOKENS = new Set(["#cm", "#pm", "#minister", "#government", "#today", "#update", "#india", "#state", "#uttarakhand"]);
+
+const CONCEPT_WORDS = new Map();
+const CONCEPT_PHRASES = [];
+for (const [concept, forms] of Object.entries(CONCEPTS)) {
+  for (const form of forms) {
+    if (form.includes(" ")) CONCEPT_PHRASES.push([form, `#${concept}`]);
+    else CONCEPT_WORDS.set(form, `#${concept}`);
+  }
+}
+// Longest first, so "बादल फटने से" wins over "बादल फटने"
+CONCEPT_PHRASES.sort((a, b) => b[0].length - a[0].length);
+
+const STOPWORDS = new Set([
+  // Hindi
+  "में", "के", "की", "का", "को", "से", "पर", "और", "ने", "है", "हैं", "था", "थी", "थे", "एक", "यह", "वह",
+  "भी", "तो", "ही", "लिए", "बाद", "साथ", "तक", "कर", "किया", "किए", "गया", "गई", "गए", "हुआ", "हुई", "हुए", "रहे",
+  "रहा", "रही", "होगा", "जा", "अब", "या", "इस", "उस", "कि", "जो", "नहीं", "लेकर", "बीच", "दौरान",
+  // English
+  "the", "a", "an", "of", "in", "on", "at", "to", "for", "and", "or", "is", "are", "was", "were", "be",
+  "by", "with", "from", "as", "after", "over", "into", "its", "it", "this", "that", "news", "live", "latest",
+  "one", "has", "have", "had", "will", "amid", "near", "says", "said"
+]);
+
+/* -------------------- Consonant skeletons -------------------- */
+// Devanagari letters mapped to the consonant a romanised spelling would use; vowels vanish
+// so "देहरादून" and "Dehradun" both become "dhrdn".
+const DEVANAGARI_MAP = {
+  "क": "k", "ख": "k", "ग": "g", "घ": "g", "ङ": "n",
+  "च": "c", "छ": "c", "ज": "j", "झ": "j", "ञ": "n",
+  "ट": "t", "ठ": "t", "ड": "d", "ढ": "d", "ण": "n",
+  "त": "t", "थ": "t", "द": "d", "ध": "d", "न": "n",
+  "प": "p", "फ": "f", "ब": "b", "भ": "b", "म": "m",
+  "य": "y", "र": "r", "ल": "l", "व": "v", "श": "s", "ष": "s", "स": "s", "ह": "h",
+  "ऋ": "r", "ृ": "r", "ं": "n", "ँ": "n", "ळ": "l"
+};
+
+function latinSkeleton(word) {
+  return word
+    .replace(/ch/g, "\u0000")
+    .replace(/c(?=[eiy])/g, "s")
+    .replace(/c/g, "k")
+    .replace(/\u0000/g, "c")
+    .replace(/ph/g, "f")
+    .replace(/([kgjtdbsrl])h/g, "$1")
+    .replace(/x/g, "ks")
+    .replace(/w/g, "v")
+    .replace(/z/g, "j")
+    .replace(/q/g, "k")
+    .replace(/[aeiou]/g, "");
+}
+
+function devanagariSkeleton(word) {
+  let out = "";
+  // ड़ / ढ़ are "r" in romanised spellings (Pauri, Garhwal); other nukta letters keep their base sound
+  const plain = word.normalize("NFD").replace(/[डढ]\u093C/g, "र").replace(/\u093C/g, "");
+  for (const ch of plain) {
+    if (DEVANAGARI_MAP[ch]) out += DEVANAGARI_MAP[ch];
+  }
+  return out;
+}
+
+function skeleton(word) {
+  const raw = /[ऀ-ॿ]/.test(word) ? devanagariSkeleton(word) : latinSkeleton(word);
+  // Doubled consonants are spelled inconsistently (Uttarakhand / Utarakhand)
+  return raw.replace(/(.)\1+/g, "$1");
+}
+
+function normalizeToken(word) {
+  if (CONCEPT_WORDS.has(word)) return CONCEPT_WORDS.get(word);
+  if (NUMBER_WORDS[word]) return NUMBER_WORDS[word];
+  if (/^\d+$/.test(word)) return word;
+  return skeleton(word);
+}
+
+/**
+ * Script-independent tokens: "#concept" for known news vocabulary, digits for numbers
+ * (Devanagari digits and number words included), consonant skeletons for the rest.
+ */
+function tokenize(text) {
+  // Padded so phrases match at either end too
+  let normalized = ` ${String(text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[०-९]/g, d => String(d.charCodeAt(0) - 0x0966))
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")} `;
+
+  for (const [phrase, concept] of CONCEPT_PHRASES) {
+    normalized = normalized.split(` ${phrase} `).join(` ${concept} `);
+  }
+
+  return normalized
+    .split(" ")
+    .filter(w => w && !STOPWORDS.has(w))
+    .map(w => (w.startsWith("#") ? w : normalizeToken(w)))
+    .filter(t => t.length >= 2 || /^\d+$/.test(t));
+}
+
+/* -------------------- SimHash -------------------- */
+function hash64(text) {
+  return crypto.createHash("md5").update(text).digest().readBigUInt64BE(0);
+}
+
+function simhash(tokens) {
+  const weights = new Array(64).fill(0);
+  const shingles = tokens.concat(tokens.slice(1).map((t, i) => `${tokens[i]} ${t}`));
+
+  for (const shingle of shingles) {
+    const h = hash64(shingle);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (h >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  let result = 0n;
+  weights.forEach((w, bit) => {
+    if (w > 0) result |= 1n << BigInt(bit);
+  });
+  return result;
+}
+
+function hammingDistance(a, b) {
+  let x = a ^ b;
+  let count = 0;
+  while (x) {
+    count += Number(x & 1n);
+    x >>= 1n;
+  }
+  return count;
+}
+
+/* -------------------- Fingerprints -------------------- */
+// Bumped whenever tokenize changes; stored fingerprints of another version are recomputed
+const FINGERPRINT_VERSION = 2;
+
+/**
+ * Fingerprint from title (+ description when present). Serializable, so it can be stored in meta.
+ */
+function fingerprintText(title, description = "") {
+  const titleTokens = Array.from(new Set(tokenize(title)));
+  const bodyTokens = tokenize(`${title} ${String(description || "").slice(0, 400)}`);
+  return {
+    v: FINGERPRINT_VERSION,
+    tokens: titleTokens,
+    simhash: bodyTokens.length >= 8 ? simhash(bodyTokens).toString(16) : null
+  };
+}
+
+function fingerprintItem(item) {
+  return fingerprintText(item.title, item.description);
+}
+
+// Bumped when the numbers a signature records change meaning; older numbers are not compared
+const SIGNATURE_VERSION = 2;
+
+// Times and dates change with every re-publish ("अपडेट: 10:30 बजे", "12/05/2024", "2024"),
+// so they are dropped before the numbers are collected
+const MONTHS = "jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec|january|february|march|april|june|july|august|september|october|november|december|जनवरी|फरवरी|मार्च|अप्रैल|मई|जून|जुलाई|अगस्त|सितंबर|सितम्बर|अक्टूबर|नवंबर|नवम्बर|दिसंबर|दिसम्बर";
+const TIME_DATE_PATTERNS = [
+  /\d{1,4}[./-]\d{1,2}[./-]\d{2,4}/g,                                        // 12/05/2024, 2024-05-12, 05.06.2024
+  /\d{1,2}:\d{2}(?::\d{2})?/g,                                               // 10:30, 10:30:15
+  /\d{1,2}(?:\.\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.|बजे|hrs)(?![a-z])/gi,           // 5 pm, 10.30 बजे
+  new RegExp(`\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})(?![a-z])`, "gi"),   // 12 मई, 12th May
+  new RegExp(`(?:${MONTHS})\\.?\\s+\\d{1,2}(?!\\d)`, "gi"),                  // May 12
+  /(?<!\d)(?:19[5-9]\d|20[0-4]\d)(?!\d|[.,]\d)/g                                  // years
+];
+
+function stripTimesAndDates(text) {
+  return TIME_DATE_PATTERNS.reduce((out, pattern) => out.replace(pattern, " "), text);
+}
+
+/**
+ * Signature of a full source article, stored as meta.source_signature so later rechecks
+ * can tell an edit from a re-render: text hash, length, the numbers it mentions (times and
+ * dates left out), SimHash.
+ */
+function contentSignature(text) {
+  const normalized = String(text || "").replace(/\s+/g, " ").trim();
+  const tokens = tokenize(normalized);
+  return {
+    v: SIGNATURE_VERSION,
+    hash: crypto.createHash("sha1").update(normalized).digest("hex"),
+    length: normalized.length,
+    numbers: Array.from(new Set(stripTimesAndDates(normalized).match(/\d+(?:[.,]\d+)*/g) || [])).slice(0, 60),
+    simhash: tokens.length >= 8 ? simhash(tokens).toString(16) : null
+  };
+}
+
+/**
+ * Compare two content signatures. Changed numbers (casualty counts, amounts), a large length
+ * change or a SimHash drift count as material; anything else is a cosmetic edit.
+ * Returns { changed, material, addedNumbers, removedNumbers, lengthRatio }.
+ */
+function compareContentSignatures(before, after) {
+  if (!before || !after || before.hash === after.hash) {
+    return { changed: false, material: false, addedNumbers: [], removedNumbers: [], lengthRatio: 1 };
+  }
+
+  // Signatures from before times / dates were dropped would flag every clock change
+  const comparable = before.v === after.v;
+  const addedNumbers = comparable ? after.numbers.filter(n => !before.numbers.includes(n)) : [];
+  const removedNumbers = comparable ? before.numbers.filter(n => !after.numbers.includes(n)) : [];
+  const lengthRatio = before.length ? after.length / before.length : 1;
+  const drift = before.simhash && after.simhash
+    ? hammingDistance(BigInt(`0x${before.simhash}`), BigInt(`0x${after.simhash}`))
+    : 0;
+
+  return {
+    changed: true,
+    material: addedNumbers.length > 0 || removedNumbers.length > 0 || Math.abs(1 - lengthRatio) > 0.15 || drift > 4,
+    addedNumbers,
+    removedNumbers,
+    lengthRatio
+  };
+}
+
+function dice(a, b) {
+  if (!a.length || !b.length) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(t => setB.has(t)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+// Concepts, numbers and names say which event it is; generic tokens don't, and two-letter skeletons collide
+function isInformative(token) {
+  if (GENERIC_TOKENS.has(token)) return false;
+  return token.startsWith("#") || /^\d+$/.test(token) || token.length >= 3;
+}
+
+/**
+ * 0..1 similarity, 0 unless the titles share MIN_SHARED_TOKENS informative tokens (and a name,
+ * when both name someone or somewhere). Title token overlap dominates; SimHash over title +
+ * description adds evidence when both sides have a description (random text agrees on ~half
+ * the bits, hence the rescale).
+ */
+function similarity(fpA, fpB) {
+  const tokensA = fpA.tokens.filter(isInformative);
+  const tokensB = fpB.tokens.filter(isInformative);
+  const setB = new Set(tokensB);
+  const shared = tokensA.filter(t => setB.has(t));
+  if (shared.length < MIN_SHARED_TOKENS) return 0;
+
+  // Same template, different place or person ("Haridwar road accident" vs "Dehradun road accident")
+  const isName = (t) => !t.startsWith("#") && !/^\d+$/.test(t);
+  if (tokensA.some(isName) && tokensB.some(isName) && !shared.some(isName)) return 0;
+
+  const titleScore = dice(tokensA, tokensB);
+  if (!fpA.simhash || !fpB.simhash) return titleScore;
+
+  const bitsEqual = 1 - hammingDistance(BigInt(`0x${fpA.simhash}`), BigInt(`0x${fpB.simhash}`)) / 64;
+  const simScore = Math.max(0, (bitsEqual - 0.5) * 2);
+  return 0.6 * titleScore + 0.4 * simScore;
+}
+
+function bestMatch(fp, candidates) {
+  let best = null;
+  for (const candidate of candidates) {
+    const score = similarity(fp, candidate.fp);
+    if (score >= SIMILARITY_THRESHOLD && (!best || score > best.score)) {
+      best = { candidate, score };
+    }
+  }
+  return best;
+}
+
+/* -------------------- Recent articles -------------------- */
+async function loadRecentFingerprints(supabase) {
+  try {
+    const since = new Date(Date.now() - LOOKBACK_HOURS * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from("ai_news")
+      .select("id, title, source_url, meta")
+      .gte("created_at", since)
+      .order("created_at", { ascending: false })
+      .limit(MAX_RECENT_ROWS);
+
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      row,
+      // Stored fingerprints come from the source title/description; older rows fall back to the original title
+      fp: row.meta?.fingerprint?.v === FINGERPRINT_VERSION
+        ? row.meta.fingerprint
+        : fingerprintText(row.meta?.original_title || row.title)
+    }));
+  } catch (e) {
+    console.warn(`⚠️ Could not load recent articles for duplicate check:`, e.message);
+    return [];
+  }
+}
+
+function sourceEntry(item, score) {
+  // Feed dates can be malformed; an invalid one must not abort the whole batch
+  const published = item.pubDate ? new Date(item.pubDate) : null;
+  return {
+    url: item.url,
+    title: item.title,
+    source_name: item.meta?.sourceName || item.source || null,
+    published_at: published && !isNaN(published) ? published.toISOString() : null,
+    similarity: Number(score.toFixed(3)),
+    added_at: new Date().toISOString()
+  };
+}
+
+function mergeSources(existing, additions) {
+  const merged = Array.isArray(existing) ? existing.slice() : [];
+  for (const entry of additions) {
+    if (!merged.some(s => s.url === entry.url)) merged.push(entry);
+  }
+  return merged.slice(0, MAX_ADDITIONAL_SOURCES);
+}
+
+async function attachToArticle(supabase, row, entries) {
+  try {
+    // Re-read so concurrent attachments are not lost
+    const { data: current, error: readError } = await supabase
+      .from("ai_news")
+      .select("meta")
+      .eq("id", row.id)
+      .maybeSingle();
+    if (readError) throw readError;
+    if (!current) return;
+
+    const meta = current.meta || {};
+    const { error } = await supabase
+      .from("ai_news")
+      .update({ meta: { ...meta, additional_sources: mergeSources(meta.additional_sources, entries) } })
+      .eq("id", row.id);
+    if (error) throw error;
+  } catch (e) {
+    console.warn(`⚠️ Could not attach duplicate sources to article ${row.id}:`, e.message);
+  }
+}
+
+/* -------------------- Batch dedupe -------------------- */
+/**
+ * Drop near-duplicates from items (already URL-deduped, in priority order) by comparing them
+ * with each other and with recent ai_news rows. Kept items carry meta.fingerprint; in "attach"
+ * mode duplicates of a kept item go to its meta.additionalSources, duplicates of a published
+ * article are added to that row's meta.additional_sources.
+ * Dropped items are flagged publishedDuplicate, or listed in the kept item's mergedItems.
+ */
+async function dedupeItems(items, supabase) {
+  const recent = supabase ? await loadRecentFingerprints(supabase) : [];
+  const recentUrls = new Set(recent
+    .flatMap(r => [r.row.source_url, r.row.meta?.original_url, ...(r.row.meta?.additional_sources || []).map(s => s.url)])
+    .filter(Boolean)
+    .map(urlKey));
+  const kept = [];
+  const attachments = new Map(); // article id -> { row, entries }
+  let dropped = 0;
+
+  for (const item of items) {
+    const fp = fingerprintItem(item);
+    item.meta = { ...(item.meta || {}), fingerprint: fp };
+
+    if (item.url && recentUrls.has(urlKey(item.url))) {
+      dropped++;
+      item.publishedDuplicate = true;
+      continue;
+    }
+
+    const published = bestMatch(fp, recent);
+    if (published) {
+      dropped++;
+      item.publishedDuplicate = true;
+      console.log(`   🔁 Near-duplicate of article ${published.candidate.row.id} (${published.score.toFixed(2)}): ${item.title.substring(0, 50)}...`);
+      if (DEDUPE_MODE === "attach") {
+        const entry = attachments.get(published.candidate.row.id) || { row: published.candidate.row, entries: [] };
+        entry.entries.push(sourceEntry(item, published.score));
+        attachments.set(published.candidate.row.id, entry);
+      }
+      continue;
+    }
+
+    const sibling = bestMatch(fp, kept);
+    if (sibling) {
+      dropped++;
+      console.log(`   🔁 Near-duplicate in batch (${sibling.score.toFixed(2)}): ${item.title.substring(0, 50)}...`);
+      const primary = sibling.candidate.item;
+      // Settled together with the kept item (feed GUIDs, see server.js processNewsItem)
+      primary.mergedItems = [...(primary.mergedItems || []), item];
+      if (DEDUPE_MODE === "attach") {
+        primary.meta.additionalSources = mergeSources(primary.meta.additionalSources, [sourceEntry(item, sibling.score)]);
+      }
+      continue;
+    }
+
+    kept.push({ item, fp });
+  }
+
+  for (const { row, entries } of attachments.values()) {
+    await attachToArticle(supabase, row, entries);
+  }
+
+  if (dropped > 0) {
+    console.log(`🔁 Near-duplicate check: ${dropped} dropped, ${kept.length} kept (threshold ${SIMILARITY_THRESHOLD}, mode ${DEDUPE_MODE})`);
+  }
+
+  return kept.map(k => k.item);
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  MIN_SHARED_TOKENS,
+  GENERIC_TOKENS,
+  DEDUPE_MODE,
+  dedupeItems,
+  fingerprintText,
+  contentSignature,
+  compareContentSignatures,
+  similarity,
+  tokenize
+};
@@ -0,0 +1,257 @@
+// embed-extractors.js - Provider registry for embedded media; every embed becomes { type, id, url, thumbnail }
+
+/* -------------------- Provider registry -------------------- */
+/*
+ * A provider recognises media URLs of one platform:
+ *   type: stored as video.type
+ *   match(url): null, or { id, url?, thumbnail? } — url defaults to provider.url(id)
+ *   url(id): canonical page for the media (what a frontend links or embeds from)
+ *   thumbnail(id): optional preview image
+ * Providers are tried in registration order; the first match wins.
+ */
+const EMBED_PROVIDERS = [];
+
+function registerEmbedProvider(provider) {
+  if (!provider || !provider.type || typeof provider.match !== "function") {
+    throw new Error("Embed provider needs a type and a match(url) function");
+  }
+  EMBED_PROVIDERS.push(provider);
+  return provider;
+}
+
+// Provider from regexes whose first capture group is the media id
+function patternProvider(type, patterns, { url, thumbnail = () => null }) {
+  return {
+    type,
+    url,
+    thumbnail,
+    match(candidate) {
+      for (const pattern of patterns) {
+        const m = candidate.match(pattern);
+        if (m && m[1]) return { id: m[1] };
+      }
+      return null;
+    }
+  };
+}
+
+registerEmbedProvider(patternProvider("youtube", [
+  /(?:youtube(?:-nocookie)?\.com)\/(?:embed|shorts|live|v)\/([\w-]{11})/i,
+  /youtube\.com\/watch\?(?:[^#]*&)?v=([\w-]{11})/i,
+  /youtu\.be\/([\w-]{11})/i
+], {
+  url: (id) => `https://www.youtube.com/watch?v=${id}`,
+  thumbnail: (id) => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+}));
+
+// X and Twitter share ids; stored as "twitter" like earlier articles
+registerEmbedProvider(patternProvider("twitter", [
+  /(?:twitter|x)\.com\/(?:#!\/)?(?:\w+|i(?:\/web)?)\/status(?:es)?\/(\d+)/i,
+  /platform\.twitter\.com\/embed\/Tweet\.html\?(?:[^#]*&)?id=(\d+)/i
+], {
+  url: (id) => `https://x.com/i/status/${id}`
+}));
+
+registerEmbedProvider({
+  type: "instagram",
+  url: (id) => `https://www.instagram.com/p/${id}/`,
+  thumbnail: () => null,
+  match(candidate) {
+    const m = candidate.match(/instagram\.com\/(?:[\w.]+\/)?(p|reels?|tv)\/([\w-]+)/i);
+    if (!m) return null;
+    const kind = m[1].toLowerCase().startsWith("reel") ? "reel" : m[1].toLowerCase();
+    return { id: m[2], url: `https://www.instagram.com/${kind}/${m[2]}/` };
+  }
+});
+
+registerEmbedProvider({
+  type: "facebook",
+  url: (id) => `https://www.facebook.com/watch/?v=${id}`,
+  thumbnail: () => null,
+  match(candidate) {
+    // The video plugin carries the real post URL in ?href=
+    let target = candidate;
+    const plugin = candidate.match(/facebook\.com\/plugins\/(?:video|post)\.php\?(?:[^#]*&)?href=([^&#]+)/i);
+    if (plugin) {
+      try {
+        target = decodeURIComponent(plugin[1]);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    const numeric = target.match(/facebook\.com\/(?:[\w.-]+\/videos\/(?:[\w.-]+\/)?|watch\/?\?(?:[^#]*&)?v=|reel\/|video\.php\?(?:[^#]*&)?v=)(\d+)/i);
+    if (numeric) return { id: numeric[1] };
+
+    const short = target.match(/fb\.watch\/([\w-]+)/i);
+    if (short) return { id: short[1], url: `https://fb.watch/${short[1]}/` };
+    return null;
+  }
+});
+
+registerEmbedProvider(patternProvider("dailymotion", [
+  /dailymotion\.com\/(?:embed\/)?video\/([a-z0-9]+)/i,
+  /dailymotion\.com\/player[\w/.-]*\?(?:[^#]*&)?video=([a-z0-9]+)/i,
+  /dai\.ly\/([a-z0-9]+)/i
+], {
+  url: (id) => `https://www.dailymotion.com/video/${id}`,
+  thumbnail: (id) => `https://www.dailymotion.com/thumbnail/video/${id}`
+}));
+
+// JW Player media ids are 8 characters; players, media API, manifests and renditions all carry one
+registerEmbedProvider(patternProvider("jwplayer", [
+  /(?:cdn\.jwplayer\.com|content\.jwplatform\.com)\/(?:players|previews)\/([a-z0-9]{8})(?:-[a-z0-9]{8})?/i,
+  /(?:cdn\.jwplayer\.com|content\.jwplatform\.com)\/(?:v2\/media|manifests|videos|thumbs)\/([a-z0-9]{8})/i
+], {
+  url: (id) => `https://cdn.jwplayer.com/previews/${id}`,
+  thumbnail: (id) => `https://cdn.jwplayer.com/v2/media/${id}/poster.jpg`
+}));
+
+/* -------------------- Matching -------------------- */
+const VIDEO_FILE = /\.(mp4|webm|m3u8|mov|ogv)(\?|#|$)/i;
+
+function absoluteUrl(url, pageUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(String(url).trim(), pageUrl || undefined);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalised embed for a media URL, or null when no provider recognises it.
+ */
+function matchEmbedUrl(url) {
+  if (!url) return null;
+  for (const provider of EMBED_PROVIDERS) {
+    const match = provider.match(url);
+    if (match) {
+      return {
+        type: provider.type,
+        id: match.id,
+        url: match.url || provider.url(match.id),
+        thumbnail: match.thumbnail || provider.thumbnail(match.id) || null
+      };
+    }
+  }
+  return null;
+}
+
+// Self-hosted files (<video>, og:video) have no provider id; the file URL identifies them
+function fileEmbed(url, thumbnail) {
+  return VIDEO_FILE.test(url) ? { type: "video", id: null, url, thumbnail: thumbnail || null } : null;
+}
+
+/* -------------------- Page scan -------------------- */
+const SOCIAL_SELECTOR = 'blockquote.twitter-tweet, blockquote.twitter-video, blockquote.instagram-media, blockquote[cite], .fb-video, .fb-post';
+
+function elementCandidates($, el) {
+  const $el = $(el);
+  const tag = (el.tagName || el.name || "").toLowerCase();
+
+  if (tag === "iframe") {
+    return [$el.attr('src') || $el.attr('data-src') || $el.attr('data-lazy-src')];
+  }
+  if (tag === "video") {
+    return [$el.attr('src'), ...$el.find('source[src]').map((j, s) => $(s).attr('src')).get()];
+  }
+  if (tag === "script") {
+    return [$el.attr('src')];
+  }
+  if ($el.is(SOCIAL_SELECTOR)) {
+    // The permalink is an attribute or the last link inside
+    return [
+      $el.attr('data-instgrm-permalink'),
+      $el.attr('data-href'),
+      $el.attr('cite'),
+      ...$el.find('a[href]').map((j, a) => $(a).attr('href')).get().reverse()
+    ];
+  }
+  return [];
+}
+
+/**
+ * Embed for one element (iframe, <video>, player script, social blockquote / Facebook div), or null.
+ */
+function matchEmbedElement($, el, pageUrl) {
+  const $el = $(el);
+  const poster = absoluteUrl($el.attr('poster'), pageUrl);
+  const isVideo = $el.is('video');
+
+  for (const candidate of elementCandidates($, el)) {
+    const url = absoluteUrl(candidate, pageUrl);
+    if (!url) continue;
+    const embed = matchEmbedUrl(url) || (isVideo ? fileEmbed(url, poster) : null);
+    if (embed) return embed;
+  }
+  return null;
+}
+
+/**
+ * Every embed on a parsed page: iframes (including the Facebook plugin), X / Instagram / Facebook blockquotes,
+ * JW Player scripts, <video>/<source> tags and og:video / twitter:player meta.
+ * options.exclude: selector for containers to skip (sidebars, related-story widgets).
+ * Returns de-duplicated { type, id, url, thumbnail } objects, in the order the sources are listed above.
+ */
+function extractEmbeds($, pageUrl, options = {}) {
+  const embeds = [];
+  const seen = new Set();
+  const skip = (el) => options.exclude && $(el).parents(options.exclude).length > 0;
+
+  const add = (embed) => {
+    if (!embed) return;
+    const key = `${embed.type}:${embed.id || embed.url}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    embeds.push(embed);
+  };
+  const addUrl = (raw, thumbnail = null) => {
+    const url = absoluteUrl(raw, pageUrl);
+    if (!url) return;
+    add(matchEmbedUrl(url) || fileEmbed(url, thumbnail));
+  };
+
+  for (const selector of ['iframe', SOCIAL_SELECTOR]) {
+    $(selector).each((i, el) => {
+      if (!skip(el)) add(matchEmbedElement($, el, pageUrl));
+    });
+  }
+
+  // JW Player: script embeds and inline setup({ playlist: "https://cdn.jwplayer.com/v2/media/..." })
+  $('script').each((i, el) => {
+    if (skip(el)) return;
+    const src = $(el).attr('src');
+    if (src) {
+      if (/jwplayer\.com|jwplatform\.com/i.test(src)) addUrl(src);
+      return;
+    }
+    const text = $(el).contents().text();
+    if (!/jwplayer|jwplatform/i.test(text)) return;
+    for (const m of text.matchAll(/https?:\\?\/\\?\/(?:cdn\.jwplayer\.com|content\.jwplatform\.com)[^"'\s)]+/gi)) {
+      addUrl(m[0].replace(/\\\//g, '/'));
+    }
+  });
+
+  $('video').each((i, el) => {
+    if (!skip(el)) add(matchEmbedElement($, el, pageUrl));
+  });
+
+  const meta = (name) => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+  const ogImage = absoluteUrl(meta('og:image'), pageUrl);
+  for (const name of ['og:video:secure_url', 'og:video:url', 'og:video', 'twitter:player']) {
+    addUrl(meta(name), ogImage);
+  }
+
+  return embeds;
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  EMBED_PROVIDERS,
+  registerEmbedProvider,
+  matchEmbedUrl,
+  matchEmbedElement,
+  extractEmbeds
+};
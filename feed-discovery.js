@@ -0,0 +1,154 @@
+// feed-discovery.js - Find RSS / Atom / JSON feeds for a plain site URL
+const cheerio = require("cheerio");
+const { fetchWithRetries, testRSSSource } = require("./rss-fetcher");
+
+/* -------------------- Config -------------------- */
+const FEED_LINK_TYPES = {
+  "application/rss+xml": "rss",
+  "application/atom+xml": "atom",
+  "application/feed+json": "json",
+  "application/json": "json",
+  "application/xml": "rss",
+  "text/xml": "rss"
+};
+
+// Tried when the page does not advertise a feed (WordPress, Blogger, Ghost, Hugo, ...)
+const COMMON_FEED_PATHS = [
+  "/feed",
+  "/feed/",
+  "/rss",
+  "/rss.xml",
+  "/feed.xml",
+  "/atom.xml",
+  "/index.xml",
+  "/feed.json",
+  "/feeds/posts/default",
+  "/?feed=rss2"
+];
+
+/* -------------------- Helpers -------------------- */
+// Bad input is tagged INVALID_URL so the admin route can answer 400 instead of 500
+function invalidUrl(message) {
+  const err = new Error(message);
+  err.code = "INVALID_URL";
+  return err;
+}
+
+function normalizeSiteUrl(siteUrl) {
+  let raw = String(siteUrl || "").trim();
+  if (!raw) throw invalidUrl("URL is required");
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(raw)) raw = `https://${raw}`;
+
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (e) {
+    throw invalidUrl(`Invalid URL: ${siteUrl}`);
+  }
+  if (!/^https?:$/.test(parsed.protocol) || !parsed.hostname.includes(".")) {
+    throw invalidUrl(`Invalid URL: ${siteUrl}`);
+  }
+  return parsed;
+}
+
+function extractFeedLinks(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const links = [];
+
+  $('link[rel~="alternate"][href], link[rel~="feed"][href]').each((i, elem) => {
+    const type = String($(elem).attr("type") || "").toLowerCase().split(";")[0].trim();
+    const rel = String($(elem).attr("rel") || "").toLowerCase();
+    // rel="alternate" is also used for hreflang/AMP pages; only keep feed media types
+    if (!FEED_LINK_TYPES[type] && !rel.split(/\s+/).includes("feed")) return;
+
+    try {
+      links.push({
+        url: new URL($(elem).attr("href"), baseUrl).href,
+        title: $(elem).attr("title") || null,
+        format: FEED_LINK_TYPES[type] || "unknown",
+        via: "link"
+      });
+    } catch (e) {
+      // ignore malformed hrefs
+    }
+  });
+
+  return links;
+}
+
+/* -------------------- Discovery -------------------- */
+/**
+ * Discover candidate feeds for a site: first the page's <link rel="alternate"> tags,
+ * then common feed paths on the same origin. Each candidate is tested with
+ * testRSSSource so editors see a sample before adding it as a source.
+ */
+async function discoverFeeds(siteUrl, options = {}) {
+  const { maxCandidates = 10, sampleSize = 3, includeFailed = false } = options;
+  const base = normalizeSiteUrl(siteUrl);
+
+  console.log(`🔎 Discovering feeds for ${base.href}`);
+
+  const candidates = [];
+  const seen = new Set();
+  const addCandidate = (candidate) => {
+    if (seen.has(candidate.url)) return;
+    seen.add(candidate.url);
+    candidates.push(candidate);
+  };
+
+  // 1) Advertised feeds in the page head
+  try {
+    const res = await fetchWithRetries(base.href, {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8"
+      },
+      timeout: 15000
+    }, 1, 400);
+
+    if (res.ok) {
+      const html = await res.text();
+      extractFeedLinks(html, res.url || base.href).forEach(addCandidate);
+    } else {
+      console.warn(`   Site returned HTTP ${res.status}: ${base.href}`);
+    }
+  } catch (e) {
+    console.warn(`   Failed to load site ${base.href}:`, e.message);
+  }
+
+  // 2) Common feed locations on the same origin
+  for (const path of COMMON_FEED_PATHS) {
+    addCandidate({ url: new URL(path, base.origin).href, title: null, format: "unknown", via: "common-path" });
+  }
+
+  // Test candidates sequentially (keeps load on the publisher low)
+  const results = [];
+  for (const candidate of candidates) {
+    if (results.filter(r => r.ok).length >= maxCandidates) break;
+
+    const test = await testRSSSource(candidate.url, sampleSize);
+    if (test.ok || includeFailed) {
+      results.push({ ...candidate, ...test });
+    }
+  }
+
+  // Common paths often redirect to the same feed; keep the first working URL per sample
+  const unique = [];
+  const samples = new Set();
+  for (const r of results) {
+    const fingerprint = r.ok ? (r.sample || []).map(i => i.url).join("|") : r.url;
+    if (r.ok && samples.has(fingerprint)) continue;
+    samples.add(fingerprint);
+    unique.push(r);
+  }
+
+  console.log(`   ✅ Found ${unique.filter(r => r.ok).length} working feed(s) for ${base.href}`);
+  return unique;
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  discoverFeeds,
+  extractFeedLinks,
+  COMMON_FEED_PATHS
+};
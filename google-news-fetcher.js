@@ -0,0 +1,226 @@
+// google-news-fetcher.js - Google News RSS search queries (keyless keyword coverage)
+const cheerio = require("cheerio");
+const { fetchRSSFeed, fetchWithRetries } = require("./rss-fetcher");
+
+/* -------------------- Config -------------------- */
+const GOOGLE_NEWS_RSS_BASE = "https://news.google.com/rss/search";
+const BATCHEXECUTE_URL = "https://news.google.com/_/DotsSplashUi/data/batchexecute";
+const MAX_RESOLVED_CACHE = 2000;
+
+const BROWSER_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+  "Accept-Language": "hi-IN,hi;q=0.9,en;q=0.5"
+};
+
+// Google article id -> publisher URL
+const resolvedCache = new Map();
+
+/* -------------------- URL building -------------------- */
+/**
+ * Build a Google News RSS search URL.
+ * config: { q (required), hl = "hi", gl = "IN", ceid = "<gl>:<hl>", when } — when like "1d" / "12h".
+ */
+function buildGoogleNewsUrl(config = {}) {
+  const hl = config.hl || "hi";
+  const gl = (config.gl || "IN").toUpperCase();
+  const ceid = config.ceid || `${gl}:${hl.split("-")[0]}`;
+  const q = config.when ? `${config.q} when:${config.when}` : config.q;
+
+  const params = new URLSearchParams({ q, hl, gl, ceid });
+  return `${GOOGLE_NEWS_RSS_BASE}?${params.toString()}`;
+}
+
+/* -------------------- Title / publisher -------------------- */
+/**
+ * Google News titles look like "Headline - Publisher". Split off the publisher,
+ * preferring the <source> element when the feed carries it.
+ */
+function splitPublisher(title, sourceField) {
+  const raw = String(title || "").trim();
+  const fromField = sourceField && typeof sourceField === "object" ? sourceField._ : sourceField;
+  const publisher = fromField ? String(fromField).trim() : "";
+
+  if (publisher && raw.endsWith(` - ${publisher}`)) {
+    return { title: raw.slice(0, -(publisher.length + 3)).trim(), publisher };
+  }
+
+  const idx = raw.lastIndexOf(" - ");
+  if (idx > 0 && raw.length - idx <= 60) {
+    return { title: raw.slice(0, idx).trim(), publisher: publisher || raw.slice(idx + 3).trim() };
+  }
+
+  return { title: raw, publisher: publisher || null };
+}
+
+/* -------------------- Link resolution -------------------- */
+function articleIdFromUrl(googleUrl) {
+  try {
+    const u = new URL(googleUrl);
+    if (!u.hostname.endsWith("news.google.com")) return null;
+    const m = u.pathname.match(/\/(?:rss\/)?articles\/([^/?#]+)/);
+    return m ? m[1] : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Older article ids are base64url protobuf with the publisher URL inline:
+ * 0x08 0x13 0x22 <varint length> <url> ... Newer ids ("AU_yqL...") need a lookup.
+ */
+function decodeArticleId(articleId) {
+  try {
+    const buf = Buffer.from(articleId, "base64url");
+    if (buf[0] !== 0x08 || buf[1] !== 0x13 || buf[2] !== 0x22) return null;
+
+    let pos = 3;
+    let length = 0;
+    let shift = 0;
+    while (pos < buf.length) {
+      const byte = buf[pos++];
+      length |= (byte & 0x7f) << shift;
+      if (!(byte & 0x80)) break;
+      shift += 7;
+    }
+
+    const url = buf.slice(pos, pos + length).toString("utf8");
+    return /^https?:\/\//.test(url) ? url : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseBatchExecuteResponse(text) {
+  // Body is ")]}'" followed by a JSON array whose payload is itself a JSON string
+  const chunk = String(text || "").split("\n\n")[1];
+  if (!chunk) return null;
+  const outer = JSON.parse(chunk);
+  const payload = JSON.parse(outer[0][2]);
+  return payload && /^https?:\/\//.test(payload[1]) ? payload[1] : null;
+}
+
+async function resolveViaPage(googleUrl, articleId) {
+  const res = await fetchWithRetries(googleUrl, { headers: BROWSER_HEADERS, redirect: "follow", timeout: 10000 }, 1, 500);
+
+  // Some links still answer with a plain redirect to the publisher
+  if (res.url && !new URL(res.url).hostname.endsWith("google.com")) return res.url;
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  const $ = cheerio.load(await res.text());
+  const $data = $("[data-n-a-sg][data-n-a-ts]").first();
+  const signature = $data.attr("data-n-a-sg");
+  const timestamp = $data.attr("data-n-a-ts");
+  if (!signature || !timestamp) return null;
+
+  const request = [[[
+    "Fbv4je",
+    JSON.stringify([
+      "garturlreq",
+      [["X", "X", ["X", "X"], null, null, 1, 1, "US:en", null, 1, null, null, null, null, null, 0, 1], "X", "X", 1, [1, 1, 1], 1, 1, null, 0, 0, null, 0],
+      articleId,
+      Number(timestamp),
+      signature
+    ]),
+    null,
+    "generic"
+  ]]];
+
+  const lookup = await fetchWithRetries(BATCHEXECUTE_URL, {
+    method: "POST",
+    headers: { ...BROWSER_HEADERS, "Content-Type": "application/x-www-form-urlencoded;charset=UTF-8" },
+    body: `f.req=${encodeURIComponent(JSON.stringify(request))}`,
+    timeout: 10000
+  }, 1, 500);
+
+  if (!lookup.ok) throw new Error(`batchexecute HTTP ${lookup.status}`);
+  return parseBatchExecuteResponse(await lookup.text());
+}
+
+/**
+ * Resolve a news.google.com article link to the publisher URL.
+ * Tries the inline base64 id first, then the redirect / page lookup. Returns null when unresolved.
+ */
+async function resolveGoogleNewsUrl(googleUrl) {
+  const articleId = articleIdFromUrl(googleUrl);
+  if (!articleId) return googleUrl;
+
+  if (resolvedCache.has(articleId)) return resolvedCache.get(articleId);
+
+  let resolved = decodeArticleId(articleId);
+  if (!resolved) {
+    try {
+      resolved = await resolveViaPage(googleUrl, articleId);
+    } catch (e) {
+      console.warn(`   ⚠️ Could not resolve Google News link ${articleId.slice(0, 24)}…:`, e.message);
+      return null;
+    }
+  }
+
+  if (resolved) {
+    resolvedCache.set(articleId, resolved);
+    if (resolvedCache.size > MAX_RESOLVED_CACHE) {
+      resolvedCache.delete(resolvedCache.keys().next().value);
+    }
+  }
+  return resolved;
+}
+
+/* -------------------- Google News RSS Fetcher -------------------- */
+/**
+ * Fetch a Google News RSS search. Items come back with publisher URLs (when resolvable),
+ * titles without the " - Publisher" suffix, and the publisher in `source`.
+ */
+async function fetchGoogleNewsRSS(config, options = {}) {
+  const { maxItems = 10, resolveLinks = true } = config || {};
+
+  try {
+    if (!config || !config.q) throw new Error("config.q is required");
+
+    const feedUrl = config.url || buildGoogleNewsUrl(config);
+    const items = await fetchRSSFeed(feedUrl, maxItems, { throwOnError: true });
+
+    const results = [];
+    // Sequential on purpose: one lookup at a time keeps Google from rate limiting us
+    for (const item of items) {
+      const { title, publisher } = splitPublisher(item.title, item.raw && item.raw.source);
+      const url = resolveLinks ? await resolveGoogleNewsUrl(item.url) : item.url;
+
+      if (!url) continue;
+
+      // The feed description is just "<headline> <publisher>" — not worth keeping
+      const description = (item.description || "").startsWith(title) ? "" : item.description;
+
+      results.push({
+        title,
+        description,
+        url,
+        image: item.image,
+        pubDate: item.pubDate,
+        source: publisher || config.sourceName || "Google News",
+        googleUrl: item.url,
+        // Unresolved items are left out and not marked seen, so their links are retried next cycle
+        feedGuid: item.feedGuid
+      });
+    }
+
+    if (items.length > results.length) {
+      console.log(`   ⏭️ Dropped ${items.length - results.length} unresolved Google News links`);
+    }
+
+    return results;
+
+  } catch (error) {
+    console.warn(`❌ Failed to fetch Google News RSS for "${config && config.q}":`, error && error.message ? error.message : error);
+    if (options.throwOnError) throw error;
+    return [];
+  }
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  fetchGoogleNewsRSS,
+  buildGoogleNewsUrl,
+  resolveGoogleNewsUrl,
+  decodeArticleId,
+  splitPublisher
+};
@@ -0,0 +1,231 @@
+// html-list-fetcher.js - Selector-driven scraper for listing pages without feeds (district portals, press releases)
+const cheerio = require("cheerio");
+const { fetchWithRetries } = require("./rss-fetcher");
+
+/* -------------------- Hindi / Indian date parsing -------------------- */
+const IST_OFFSET_MINUTES = 330;
+
+const MONTHS = {
+  // Hindi (nukta stripped before lookup, both anusvara and half-letter spellings)
+  "जनवरी": 0, "फरवरी": 1, "मार्च": 2, "अप्रैल": 3, "अप्रेल": 3, "मई": 4, "जून": 5,
+  "जुलाई": 6, "अगस्त": 7, "सितंबर": 8, "सितम्बर": 8, "अक्टूबर": 9, "अक्तूबर": 9,
+  "नवंबर": 10, "नवम्बर": 10, "दिसंबर": 11, "दिसम्बर": 11,
+  // English
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3, may: 4,
+  jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7, sep: 8, sept: 8, september: 8,
+  oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+};
+
+function toAsciiDigits(text) {
+  return String(text || "").replace(/[०-९]/g, d => String(d.charCodeAt(0) - 0x0966));
+}
+
+function istDate(year, month, day, hours = 0, minutes = 0) {
+  const utc = Date.UTC(year, month, day, hours, minutes) - IST_OFFSET_MINUTES * 60 * 1000;
+  const date = new Date(utc);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Day-first numeric dates: 12/01/2025, 12-01-2025, 12.01.2025
+const NUMERIC_DATE = /(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/;
+
+// Callers strip numeric dates first; the boundaries keep "18.10" of a date from reading as a time
+function parseTime(text) {
+  const m = text.match(/(?<![\d/.-])(\d{1,2})[:.](\d{2})(?!\d|[/.-]\d)\s*(am|pm|a\.m\.|p\.m\.|पूर्वाह्न|अपराह्न|सुबह|दोपहर|शाम|रात)?/i);
+  if (!m) return { hours: 0, minutes: 0 };
+
+  let hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  const marker = (m[3] || "").toLowerCase();
+  const isPM = /^(pm|p\.m\.|अपराह्न|दोपहर|शाम|रात)$/.test(marker);
+  const isAM = /^(am|a\.m\.|पूर्वाह्न|सुबह)$/.test(marker);
+
+  if (isPM && hours < 12) hours += 12;
+  if (isAM && hours === 12) hours = 0;
+  return { hours, minutes };
+}
+
+/**
+ * Parse the date formats seen on Hindi listing pages into an ISO string (IST assumed when no zone).
+ * Handles ISO strings, "12 जनवरी 2025", "January 12, 2025", "12/01/2025" (day first),
+ * Devanagari digits, and relative forms like "2 घंटे पहले" / "5 minutes ago" / "कल".
+ */
+function parseHindiDate(raw, now = new Date()) {
+  if (!raw) return null;
+  const text = toAsciiDigits(raw).replace(/़/g, "").replace(/\s+/g, " ").trim();
+  if (!text) return null;
+
+  // ISO / RFC strings carry their own zone
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) || /^[A-Za-z]{3}, \d{1,2} [A-Za-z]{3} \d{4}/.test(text)) {
+    const d = new Date(text);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  }
+
+  // Relative: "5 मिनट पहले", "2 घंटे पहले", "3 दिन पहले", "10 minutes ago"
+  const rel = text.match(/(\d+)\s*(मिनट|minutes?|mins?|घंटे|घंटा|hours?|hrs?|दिन|days?)\s*(पहले|ago)/i);
+  if (rel) {
+    const n = Number(rel[1]);
+    const unit = rel[2].toLowerCase();
+    const ms = /^(मिनट|min)/.test(unit) ? 60000 : /^(घंट|h)/.test(unit) ? 3600000 : 86400000;
+    return new Date(now.getTime() - n * ms).toISOString();
+  }
+
+  const time = parseTime(text.replace(NUMERIC_DATE, " "));
+  const nowIst = new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+
+  // "आज" / "कल" (kal = yesterday on news listings)
+  if (/(^|\s)(आज|today)(\s|$)/i.test(text) || /(^|\s)(कल|yesterday)(\s|$)/i.test(text)) {
+    const back = /(कल|yesterday)/i.test(text) ? 1 : 0;
+    const d = istDate(nowIst.getUTCFullYear(), nowIst.getUTCMonth(), nowIst.getUTCDate() - back, time.hours, time.minutes);
+    return d ? d.toISOString() : null;
+  }
+
+  const numeric = text.match(NUMERIC_DATE);
+  if (numeric) {
+    const d = istDate(Number(numeric[3]), Number(numeric[2]) - 1, Number(numeric[1]), time.hours, time.minutes);
+    return d ? d.toISOString() : null;
+  }
+
+  // Month names: "12 जनवरी 2025", "12 Jan, 2025", "January 12, 2025"
+  const words = text.toLowerCase().replace(/[,|]/g, " ").split(/\s+/);
+  const monthIndex = words.findIndex(w => MONTHS[w.replace(/\.$/, "")] !== undefined);
+  if (monthIndex !== -1) {
+    const month = MONTHS[words[monthIndex].replace(/\.$/, "")];
+    const before = Number(words[monthIndex - 1]);
+    const after = Number(words[monthIndex + 1]);
+    const day = before >= 1 && before <= 31 ? before : (after >= 1 && after <= 31 ? after : null);
+    const yearWord = words.find(w => /^\d{4}$/.test(w));
+    const year = yearWord ? Number(yearWord) : nowIst.getUTCFullYear();
+    if (day) {
+      const d = istDate(year, month, day, time.hours, time.minutes);
+      return d ? d.toISOString() : null;
+    }
+  }
+
+  const fallback = new Date(text);
+  return isNaN(fallback.getTime()) ? null : fallback.toISOString();
+}
+
+/* -------------------- Helpers -------------------- */
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  const value = String(href).trim();
+  if (!value || value.startsWith("#") || /^(javascript|mailto|tel):/i.test(value)) return null;
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function pick($scope, selector) {
+  // "" or "self" selects the item container itself
+  if (!selector || selector === "self") return $scope;
+  return $scope.find(selector).first();
+}
+
+function imageSrc($img) {
+  if (!$img || !$img.length) return null;
+  const srcset = $img.attr("srcset") || $img.attr("data-srcset");
+  return $img.attr("data-src") ||
+    $img.attr("data-lazy-src") ||
+    $img.attr("data-original") ||
+    (srcset ? srcset.split(",")[0].trim().split(/\s+/)[0] : null) ||
+    $img.attr("src") ||
+    null;
+}
+
+/* -------------------- Listing parser -------------------- */
+/**
+ * Parse a listing page with the source's selectors:
+ * { item (required), title = "a", link = "a", date, image = "img", description }
+ */
+function parseHTMLList(html, config) {
+  const selectors = config.selectors || {};
+  const baseUrl = config.baseUrl || config.url;
+  const $ = cheerio.load(html);
+  const items = [];
+  const seen = new Set();
+
+  $(selectors.item).each((i, elem) => {
+    const $item = $(elem);
+
+    const $title = pick($item, selectors.title || "a");
+    const title = ($title.attr("title") || $title.text() || "").replace(/\s+/g, " ").trim();
+
+    const $link = $item.is("a") && !selectors.link ? $item : pick($item, selectors.link || "a");
+    const url = resolveUrl($link.attr("href"), baseUrl);
+
+    if (!title || !url || seen.has(url)) return;
+    seen.add(url);
+
+    let pubDate = null;
+    if (selectors.date) {
+      const $date = pick($item, selectors.date);
+      pubDate = parseHindiDate($date.attr("datetime") || $date.attr("content") || $date.text());
+    }
+
+    const image = resolveUrl(imageSrc(pick($item, selectors.image || "img")), baseUrl);
+    const description = selectors.description
+      ? pick($item, selectors.description).text().replace(/\s+/g, " ").trim()
+      : "";
+
+    items.push({ title, description, url, image, pubDate });
+  });
+
+  return items;
+}
+
+/* -------------------- HTML List Fetcher -------------------- */
+async function fetchHTMLList(config, options = {}) {
+  const { url, maxItems = 10 } = config || {};
+
+  try {
+    if (!url) throw new Error("config.url is required");
+    if (!config.selectors || !config.selectors.item) throw new Error("config.selectors.item is required");
+
+    console.log(`📡 Fetching LATEST HTML listing: ${url}`);
+
+    const response = await fetchWithRetries(url, {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+        "Accept-Language": "hi-IN,hi;q=0.9,en;q=0.5"
+      },
+      timeout: 20000
+    }, 2, 400);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const html = await response.text();
+    const source = config.sourceName || new URL(url).hostname;
+
+    // Resolve relative links against the final URL after redirects
+    const items = parseHTMLList(html, { ...config, baseUrl: response.url || url })
+      .map(it => ({ ...it, source }))
+      .sort((a, b) => new Date(b.pubDate || 0) - new Date(a.pubDate || 0))
+      .slice(0, maxItems);
+
+    if (items.length === 0) {
+      console.warn(`No items matched "${config.selectors.item}" on ${url}`);
+    } else {
+      console.log(`✅ Fetched ${items.length} LATEST items from HTML listing: ${url}`);
+    }
+
+    return items;
+
+  } catch (error) {
+    console.warn(`❌ Failed to fetch HTML listing ${url}:`, error && error.message ? error.message : error);
+    if (options.throwOnError) throw error;
+    return [];
+  }
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  fetchHTMLList,
+  parseHTMLList,
+  parseHindiDate
+};
@@ -0,0 +1,280 @@
+// image-pipeline.js - Download lead images at ingest, validate them and re-host resized variants in Supabase Storage
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { encode: encodeBlurhash } = require("blurhash");
+const { politeFetch } = require("./politeness");
+
+/* -------------------- Config -------------------- */
+// Public bucket; created on first use when missing
+const IMAGE_BUCKET = process.env.IMAGE_BUCKET || "news-images";
+const IMAGE_PIPELINE_ENABLED = process.env.IMAGE_PIPELINE_ENABLED !== "false";
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 8 * 1024 * 1024;
+const IMAGE_MIN_WIDTH = Number(process.env.IMAGE_MIN_WIDTH) || 400;
+const IMAGE_MIN_HEIGHT = Number(process.env.IMAGE_MIN_HEIGHT) || 200;
+// Responsive widths; the largest one that fits the source becomes image_url
+const VARIANT_WIDTHS = (process.env.IMAGE_VARIANT_WIDTHS || "320,640,1024,1600")
+  .split(",")
+  .map(Number)
+  .filter(w => w > 0)
+  .sort((a, b) => a - b);
+const VARIANT_QUALITY = 80;
+
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/avif", "image/gif"];
+// Some CDNs send images as a generic type; sharp's format detection decides then
+const GENERIC_TYPES = ["application/octet-stream", "binary/octet-stream", ""];
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp", "avif", "gif", "heif"];
+
+// Same source image -> same result (default images are shared by many articles)
+const MAX_REMEMBERED = 200;
+const remembered = new Map();
+const stats = { uploaded: 0, reused: 0, rejected: 0, failed: 0 };
+
+let bucketReady = null;
+
+/* -------------------- Storage -------------------- */
+function ensureBucket(supabase) {
+  if (!bucketReady) {
+    bucketReady = (async () => {
+      const { data } = await supabase.storage.getBucket(IMAGE_BUCKET);
+      if (data) return;
+
+      const { error } = await supabase.storage.createBucket(IMAGE_BUCKET, { public: true });
+      if (error && !/already exists/i.test(error.message)) throw new Error(`Bucket ${IMAGE_BUCKET}: ${error.message}`);
+      console.log(`🪣 Created storage bucket ${IMAGE_BUCKET}`);
+    })().catch(e => {
+      bucketReady = null;
+      throw e;
+    });
+  }
+  return bucketReady;
+}
+
+function isStoredUrl(url) {
+  return typeof url === "string" && url.includes(`/storage/v1/object/public/${IMAGE_BUCKET}/`);
+}
+
+/* -------------------- Image processing -------------------- */
+function rejection(reason, message) {
+  const err = new Error(message);
+  err.reason = reason;
+  return err;
+}
+
+function toHex({ r, g, b }) {
+  return "#" + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, "0")).join("");
+}
+
+async function placeholder(image) {
+  const { data, info } = await image
+    .clone()
+    .resize(32, 32, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+}
+
+// 64-bit difference hash: identical or re-encoded copies of one image share it (see image-quality.js)
+async function differenceHash(image) {
+  const { data } = await image
+    .clone()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let bits = "";
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits += data[row * 9 + col] > data[row * 9 + col + 1] ? "1" : "0";
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, "0");
+}
+
+async function inspectImage(buffer) {
+  // rotate() applies EXIF orientation so width/height match what readers see
+  const image = sharp(buffer, { failOn: "error", animated: false }).rotate();
+  const metadata = await image.metadata();
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw rejection("unsupported_format", `Unsupported image format: ${metadata.format || "unknown"}`);
+  }
+
+  const swapped = metadata.orientation >= 5;
+  const width = swapped ? metadata.height : metadata.width;
+  const height = swapped ? metadata.width : metadata.height;
+  if (!width || !height || width < IMAGE_MIN_WIDTH || height < IMAGE_MIN_HEIGHT) {
+    throw rejection("too_small", `Image is ${width}x${height}, need at least ${IMAGE_MIN_WIDTH}x${IMAGE_MIN_HEIGHT}`);
+  }
+
+  return { image, width, height, format: metadata.format, phash: await differenceHash(image) };
+}
+
+async function renderImage({ image, width, height, format, phash }) {
+  // Never upscale: widths above the source collapse into one source-width variant
+  const widths = Array.from(new Set(VARIANT_WIDTHS.map(w => Math.min(w, width))));
+  const variants = [];
+  for (const variantWidth of widths) {
+    const { data, info } = await image
+      .clone()
+      .resize({ width: variantWidth, withoutEnlargement: true })
+      .webp({ quality: VARIANT_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    variants.push({ width: info.width, height: info.height, bytes: info.size, data });
+  }
+
+  const { dominant } = await image.clone().stats();
+
+  return {
+    width,
+    height,
+    format,
+    phash,
+    dominant_color: toHex(dominant),
+    blurhash: await placeholder(image),
+    variants
+  };
+}
+
+/* -------------------- Pipeline -------------------- */
+async function runAcceptCheck(options, { width, height, format, phash }) {
+  if (typeof options.accept !== "function") return;
+  const reason = await options.accept({ width, height, format, phash });
+  if (reason) throw rejection(reason, `Rejected by quality check (${width}x${height})`);
+}
+
+async function downloadImage(url, userAgent) {
+  const res = await politeFetch(url, {
+    userAgent,
+    binary: true,
+    maxBytes: IMAGE_MAX_BYTES,
+    timeout: 20000,
+    headers: { "Accept": "image/avif,image/webp,image/*;q=0.8" }
+  });
+
+  if (!res.ok) throw rejection("http_error", `HTTP ${res.status}`);
+
+  const contentType = (res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  if (!ACCEPTED_TYPES.includes(contentType) && !GENERIC_TYPES.includes(contentType)) {
+    throw rejection("bad_content_type", `Not an image: ${contentType}`);
+  }
+
+  return res.body;
+}
+
+async function rehostImage(supabase, url, options) {
+  let buffer;
+  try {
+    buffer = await downloadImage(url, options.userAgent);
+  } catch (e) {
+    if (e.code === "TOO_LARGE") throw rejection("too_large", e.message);
+    if (e.code === "ROBOTS_DISALLOWED") throw rejection("robots_disallowed", e.message);
+    throw e;
+  }
+
+  let inspected;
+  try {
+    inspected = await inspectImage(buffer);
+  } catch (e) {
+    if (e.reason) throw e;
+    throw rejection("undecodable", e.message);
+  }
+
+  // Caller-side checks (image-quality.js) run before anything is encoded or uploaded
+  await runAcceptCheck(options, inspected);
+  const processed = await renderImage(inspected);
+
+  await ensureBucket(supabase);
+
+  // Keyed by the source URL, so a re-ingest overwrites instead of duplicating
+  const key = crypto.createHash("sha1").update(url).digest("hex");
+  const folder = `articles/${key.slice(0, 2)}/${key}`;
+  const variants = [];
+
+  for (const variant of processed.variants) {
+    const path = `${folder}/${variant.width}.webp`;
+    const { error } = await supabase.storage
+      .from(IMAGE_BUCKET)
+      .upload(path, variant.data, { contentType: "image/webp", cacheControl: "31536000", upsert: true });
+    if (error) throw new Error(`Upload ${path}: ${error.message}`);
+
+    const { data } = supabase.storage.from(IMAGE_BUCKET).getPublicUrl(path);
+    variants.push({ width: variant.width, height: variant.height, bytes: variant.bytes, url: data.publicUrl });
+  }
+
+  const largest = variants[variants.length - 1];
+  return {
+    url: largest.url,
+    original_url: url,
+    storage_path: folder,
+    width: processed.width,
+    height: processed.height,
+    format: processed.format,
+    bytes: buffer.length,
+    phash: processed.phash,
+    dominant_color: processed.dominant_color,
+    blurhash: processed.blurhash,
+    variants: variants.map(({ width, height, url: variantUrl }) => ({ width, height, url: variantUrl })),
+    stored_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Download an article image, validate it (content type, IMAGE_MAX_BYTES, IMAGE_MIN_WIDTH x IMAGE_MIN_HEIGHT)
+ * and upload WebP variants to the IMAGE_BUCKET storage bucket.
+ * Resolves to { url, original_url, storage_path, width, height, format, bytes, dominant_color, blurhash,
+ * phash, variants: [{ width, height, url }], stored_at }, or null — callers keep the hotlink then.
+ * options: { userAgent, accept, onReject } — accept({ width, height, format, phash }) may return a
+ * rejection reason (string) to refuse the image before upload; onReject(reason) hears every rejection
+ * (too_small, too_large, bad_content_type, http_error, ...), but not storage failures.
+ */
+async function ingestImage(supabase, url, options = {}) {
+  if (!IMAGE_PIPELINE_ENABLED || !url || !/^https?:\/\//i.test(url) || isStoredUrl(url)) return null;
+
+  try {
+    const cached = remembered.get(url);
+    if (cached) {
+      await runAcceptCheck(options, cached);
+      stats.reused++;
+      return cached;
+    }
+
+    const result = await rehostImage(supabase, url, options);
+    stats.uploaded++;
+    console.log(`   🖼️ Re-hosted image ${result.width}x${result.height} (${result.variants.length} variant(s))`);
+
+    remembered.set(url, result);
+    while (remembered.size > MAX_REMEMBERED) {
+      remembered.delete(remembered.keys().next().value);
+    }
+    return result;
+  } catch (e) {
+    if (e.reason) {
+      stats.rejected++;
+      console.log(`   🖼️ Image rejected (${e.reason}): ${e.message}`);
+      if (typeof options.onReject === "function") options.onReject(e.reason);
+    } else {
+      stats.failed++;
+      console.warn(`⚠️ Image re-hosting failed for ${url}:`, e.message);
+    }
+    return null;
+  }
+}
+
+function getImagePipelineStats() {
+  return {
+    enabled: IMAGE_PIPELINE_ENABLED,
+    bucket: IMAGE_BUCKET,
+    variant_widths: VARIANT_WIDTHS,
+    ...stats
+  };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  IMAGE_MIN_WIDTH,
+  IMAGE_MIN_HEIGHT,
+  ingestImage,
+  getImagePipelineStats
+};
@@ -0,0 +1,177 @@
+// image-quality.js - Reject logos, placeholders, tracking pixels and per-domain stock images as article images
+const { ingestImage, IMAGE_MIN_WIDTH, IMAGE_MIN_HEIGHT } = require("./image-pipeline");
+const { sourceHost } = require("./url-canonical");
+
+/* -------------------- Config -------------------- */
+// Wide banners are usually logos / mastheads; very tall images are infographics or ads
+const MIN_ASPECT = Number(process.env.IMAGE_MIN_ASPECT) || 0.5;
+const MAX_ASPECT = Number(process.env.IMAGE_MAX_ASPECT) || 2.5;
+// An image already used by this many recent articles of the same domain is the site's stock image
+const REPEAT_THRESHOLD = Number(process.env.IMAGE_REPEAT_THRESHOLD) || 3;
+const REPEAT_WINDOW_DAYS = Number(process.env.IMAGE_REPEAT_DAYS) || 14;
+const MAX_DOMAIN_ROWS = 1000;
+
+// Matched against the URL path (file and folder names), not the host
+const PLACEHOLDER_PATTERNS = [
+  /(^|[\/_.-])logos?([\/_.-]|$)/i,
+  /(^|[\/_.-])(placeholder|fallback|dummy|blank|spacer|transparent)([\/_.-]|$)/i,
+  // File names only: Drupal keeps every upload under /sites/default/files/
+  /\/default[^\/]*$/i,
+  /default[-_]?(share|og|image|img|thumb|banner|social)/i,
+  /(share|og|social)[-_]?(default|fallback|logo)/i,
+  /(^|[\/_.-])no[-_]?(image|img|photo|thumb)/i,
+  /(^|[\/_.-])(favicon|apple-touch-icon|sprite|avatar|gravatar|icons?|loader|loading|lazy)([\/_.-]|$)/i,
+  /(^|[\/_.-])(1x1|pixel)([\/_.-]|$)/i,
+  /\.(svg|ico)(\?|$)/i
+];
+
+// Pipeline rejections that say nothing about the image itself; such a candidate may still be hotlinked
+const HOTLINKABLE_REASONS = ["robots_disallowed", "too_large"];
+
+// Analytics beacons that sometimes end up in og:image or lazy-load attributes
+const TRACKER_HOSTS = [
+  /(^|\.)facebook\.com$/i,
+  /(^|\.)doubleclick\.net$/i,
+  /(^|\.)google-analytics\.com$/i,
+  /(^|\.)scorecardresearch\.com$/i,
+  /(^|\.)quantserve\.com$/i,
+  /(^|\.)chartbeat\.net$/i,
+  /^(pixel|beacon|track|tracking|stats)\./i
+];
+
+/* -------------------- Static checks -------------------- */
+function aspectProblem(width, height) {
+  const ratio = width / height;
+  if (ratio > MAX_ASPECT) return "too_wide";
+  if (ratio < MIN_ASPECT) return "too_tall";
+  return null;
+}
+
+/**
+ * Checks that need no download: URL patterns, tracker hosts and declared dimensions
+ * (og:image:width / <img width> hints). Returns a rejection reason or null.
+ */
+function checkImageCandidate(url, hints = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return "invalid_url";
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return "invalid_url";
+
+  if (TRACKER_HOSTS.some(pattern => pattern.test(parsed.hostname))) return "tracking_pixel";
+  if (PLACEHOLDER_PATTERNS.some(pattern => pattern.test(parsed.pathname))) return "placeholder_url";
+
+  const width = Number(hints.width) || 0;
+  const height = Number(hints.height) || 0;
+  if (width && height) {
+    if (width <= 2 && height <= 2) return "tracking_pixel";
+    if (width < IMAGE_MIN_WIDTH || height < IMAGE_MIN_HEIGHT) return "too_small";
+    return aspectProblem(width, height);
+  }
+
+  return null;
+}
+
+/* -------------------- Repetition -------------------- */
+/**
+ * How often each image URL and image hash was used by recent articles from `domain`
+ * (meta.source_host and meta.image are written by server.js). One query per article.
+ */
+async function loadDomainImageUses(supabase, domain) {
+  const uses = { urls: new Map(), hashes: new Map() };
+  const since = new Date(Date.now() - REPEAT_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const bump = (map, key) => key && map.set(key, (map.get(key) || 0) + 1);
+
+  try {
+    const { data, error } = await supabase
+      .from("ai_news")
+      .select("original_url:meta->image->>original_url, phash:meta->image->>phash")
+      .eq("meta->>source_host", domain)
+      .gte("created_at", since)
+      .order("created_at", { ascending: false })
+      .limit(MAX_DOMAIN_ROWS);
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      bump(uses.urls, row.original_url);
+      bump(uses.hashes, row.phash);
+    }
+  } catch (e) {
+    console.warn(`⚠️ Image repetition check failed (${domain}):`, e.message);
+  }
+  return uses;
+}
+
+/* -------------------- Selection -------------------- */
+/**
+ * First acceptable image among ordered candidates ({ url, source, width?, height? }).
+ * Each candidate passes the static checks, then the domain repetition check by URL, then is
+ * downloaded and re-hosted (image-pipeline.js) with real-size, aspect and image-hash checks.
+ * options: { pageUrl, userAgent }
+ * Resolves to { url, source, stored, rejected: [{ url, source, reason }] } — url/source/stored
+ * are null when every candidate was rejected. When the pipeline is disabled or an upload
+ * fails, a candidate that passed the pre-download checks is returned as a hotlink (stored null).
+ */
+async function selectArticleImage(supabase, candidates, options = {}) {
+  const domain = options.pageUrl ? sourceHost(options.pageUrl) : null;
+  const uses = domain ? await loadDomainImageUses(supabase, domain) : { urls: new Map(), hashes: new Map() };
+  const rejected = [];
+  const seen = new Set();
+  let hotlink = null;
+
+  for (const candidate of candidates) {
+    if (!candidate || !candidate.url || seen.has(candidate.url)) continue;
+    seen.add(candidate.url);
+    const reject = (reason) => rejected.push({ url: candidate.url, source: candidate.source, reason });
+
+    const staticReason = checkImageCandidate(candidate.url, candidate);
+    if (staticReason) {
+      reject(staticReason);
+      continue;
+    }
+
+    if ((uses.urls.get(candidate.url) || 0) >= REPEAT_THRESHOLD) {
+      reject("repeated_url");
+      continue;
+    }
+
+    let pipelineReason = null;
+    const stored = await ingestImage(supabase, candidate.url, {
+      userAgent: options.userAgent,
+      onReject: (reason) => { pipelineReason = reason; },
+      accept: ({ width, height, phash }) => {
+        const aspect = aspectProblem(width, height);
+        if (aspect) return aspect;
+        return (uses.hashes.get(phash) || 0) >= REPEAT_THRESHOLD ? "repeated_image" : null;
+      }
+    });
+
+    if (stored) {
+      return { url: stored.url, source: candidate.source, stored, rejected };
+    }
+    if (pipelineReason && !HOTLINKABLE_REASONS.includes(pipelineReason)) {
+      reject(pipelineReason);
+      continue;
+    }
+
+    // Not re-hosted for other reasons (pipeline off, fetch or upload failure): keep as a fallback hotlink
+    hotlink = hotlink || candidate;
+  }
+
+  if (rejected.length > 0) {
+    console.log(`   🖼️ Rejected ${rejected.length} image candidate(s): ${rejected.map(r => r.reason).join(", ")}`);
+  }
+
+  return hotlink
+    ? { url: hotlink.url, source: hotlink.source, stored: null, rejected }
+    : { url: null, source: null, stored: null, rejected };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  checkImageCandidate,
+  selectArticleImage
+};
@@ -0,0 +1,216 @@
+// jsonld.js - NewsArticle metadata from <script type="application/ld+json"> (dates, image, author, section)
+
+/* -------------------- Config -------------------- */
+// Most specific first: a page often carries a WebPage or BreadcrumbList next to the article
+const ARTICLE_TYPES = [
+  "NewsArticle", "ReportageNewsArticle", "AnalysisNewsArticle", "LiveBlogPosting",
+  "Article", "BlogPosting", "Report", "VideoObject"
+];
+
+// Whole words only (Devanagari letters and matras count as word characters), so
+// "transport" is not "sport" and "astronaut" is not "astro"
+function sectionWords(...words) {
+  return new RegExp(`(?<![\\p{L}\\p{M}])(?:${words.join("|")})(?![\\p{L}\\p{M}])`, "iu");
+}
+
+// articleSection -> genre (same names as GENRE_CANDIDATES in server.js)
+const SECTION_GENRES = [
+  [sectionWords("politics?", "political", "elections?", "assembly", "parliament", "राजनीति", "चुनाव", "सियासत"), "Politics"],
+  [sectionWords("crimes?", "police", "courts?", "अपराध", "क्राइम", "कोर्ट"), "Crime"],
+  [sectionWords("sports?", "cricket", "football", "hockey", "olympics?", "खेल", "क्रिकेट"), "Sports"],
+  [sectionWords("entertainment", "bollywood", "movies?", "cinema", "television", "celebrit(?:y|ies)", "मनोरंजन", "बॉलीवुड", "फिल्म"), "Entertainment"],
+  [sectionWords("business", "economy", "economics?", "markets?", "finance", "money", "कारोबार", "बिजनेस", "व्यापार", "बाजार"), "Business"],
+  [sectionWords("tech", "technology", "gadgets?", "auto", "automobiles?", "science", "टेक", "तकनीक", "गैजेट"), "Technology"],
+  [sectionWords("health", "fitness", "medical", "medicine", "स्वास्थ्य", "सेहत", "हेल्थ"), "Health"],
+  [sectionWords("environment", "climate", "wildlife", "पर्यावरण"), "Environment"],
+  [sectionWords("education", "careers?", "exams?", "jobs?", "results?", "शिक्षा", "करियर", "परीक्षा"), "Education"],
+  [sectionWords("lifestyle", "travel", "food", "fashion", "religion", "astrology", "लाइफस्टाइल", "जीवनशैली", "धर्म", "यात्रा"), "Lifestyle"],
+  [sectionWords("weather", "मौसम"), "Weather"]
+];
+
+/* -------------------- Parsing -------------------- */
+// Common publisher mistakes: HTML comments / CDATA around the JSON, raw newlines and tabs inside
+// strings, trailing commas, several objects pasted into one block
+function repairJson(text) {
+  let out = "";
+  let inString = false;
+  let escaped = false;
+
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      else if (ch === "\n" || ch === "\r" || ch === "\t") {
+        out += ch === "\t" ? "\\t" : " ";
+        continue;
+      }
+    } else if (ch === '"') {
+      inString = true;
+    }
+    out += ch;
+  }
+
+  out = out.replace(/,\s*([}\]])/g, "$1");
+  // "}{" or "} {" between top-level objects -> array
+  if (/^\s*\{/.test(out) && /\}\s*\{/.test(out)) {
+    out = `[${out.replace(/\}\s*\{/g, "},{")}]`;
+  }
+  return out;
+}
+
+function parseJsonLdText(raw) {
+  const text = String(raw || "")
+    .replace(/^\s*<!--/, "")
+    .replace(/-->\s*$/, "")
+    .replace(/^\s*\/\/\s*<!\[CDATA\[/, "")
+    .replace(/\/\/\s*\]\]>\s*$/, "")
+    .trim()
+    .replace(/;\s*$/, "");
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    try {
+      return JSON.parse(repairJson(text));
+    } catch (e2) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Every JSON-LD node on the page, with @graph arrays and nested lists flattened.
+ */
+function parseJsonLdBlocks($) {
+  const nodes = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== "object") return;
+    nodes.push(value);
+    if (value["@graph"]) visit(value["@graph"]);
+  };
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    visit(parseJsonLdText($(el).contents().text()));
+  });
+  return nodes;
+}
+
+/* -------------------- Field helpers -------------------- */
+function typesOf(node) {
+  return [].concat(node["@type"] || []).map(String);
+}
+
+function findArticleNode(nodes) {
+  for (const type of ARTICLE_TYPES) {
+    const node = nodes.find(n => typesOf(n).includes(type));
+    if (node) return node;
+  }
+  return null;
+}
+
+function toIso(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+function textValue(value) {
+  if (!value) return null;
+  if (typeof value === "string") return value.replace(/\s+/g, " ").trim() || null;
+  if (Array.isArray(value)) return textValue(value[0]);
+  return textValue(value.name || value["@value"]);
+}
+
+function listValue(value) {
+  if (!value) return [];
+  if (typeof value === "string") return value.split(",").map(s => s.trim()).filter(Boolean);
+  if (Array.isArray(value)) return value.flatMap(listValue);
+  return listValue(value.name);
+}
+
+function absoluteUrl(url, pageUrl) {
+  try {
+    const resolved = new URL(url, pageUrl);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// image: URL string, ImageObject, or a list of either; the widest one wins
+function pickImage(value, pageUrl) {
+  const candidates = [].concat(value || []).map(img => (
+    typeof img === "string"
+      ? { url: img, width: 0 }
+      : { url: img && (img.url || img.contentUrl || img["@id"]), width: Number(img && img.width) || 0 }
+  )).filter(c => typeof c.url === "string" && c.url);
+
+  candidates.sort((a, b) => b.width - a.width);
+  for (const candidate of candidates) {
+    const url = absoluteUrl(candidate.url, pageUrl);
+    if (url) return url;
+  }
+  return null;
+}
+
+// author: name string, Person / Organization, or a list; may reference a graph node by @id
+function authorNames(value, nodes) {
+  return [].concat(value || []).map(author => {
+    if (typeof author === "string") return author.trim();
+    if (author && !author.name && author["@id"]) {
+      const ref = nodes.find(n => n["@id"] === author["@id"]);
+      return ref ? textValue(ref.name) : null;
+    }
+    return textValue(author && author.name);
+  }).filter(Boolean);
+}
+
+/**
+ * Genre hint from articleSection, or null when nothing maps. Keywords are tag lists in no
+ * particular order and are left to the keyword detection in server.js.
+ */
+function sectionToGenre(sections = []) {
+  for (const value of sections) {
+    const match = SECTION_GENRES.find(([pattern]) => pattern.test(value));
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/* -------------------- Extraction -------------------- */
+/**
+ * NewsArticle metadata of a parsed page, or null when it has no article JSON-LD.
+ * Returns { type, headline, date_published, date_modified, authors, keywords, sections,
+ *           image, publisher, genre_hint } with dates as ISO strings.
+ */
+function extractJsonLd($, pageUrl) {
+  const nodes = parseJsonLdBlocks($);
+  const article = findArticleNode(nodes);
+  if (!article) return null;
+
+  const sections = listValue(article.articleSection);
+  const keywords = listValue(article.keywords).slice(0, 30);
+
+  return {
+    type: typesOf(article)[0] || null,
+    headline: textValue(article.headline) || textValue(article.name),
+    date_published: toIso(article.datePublished || article.uploadDate),
+    date_modified: toIso(article.dateModified),
+    authors: Array.from(new Set(authorNames(article.author || article.creator, nodes))),
+    keywords,
+    sections,
+    image: pickImage(article.image || article.thumbnailUrl, pageUrl),
+    publisher: textValue(article.publisher),
+    genre_hint: sectionToGenre(sections)
+  };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  parseJsonLdText,
+  parseJsonLdBlocks,
+  extractJsonLd,
+  sectionToGenre
+};
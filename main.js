@@ -1,13 +1,27 @@
 // main.js - Entry point that combines server, API routes and admin routes
 require('dotenv').config();
 
-const { app, supabase, isProcessing, runScheduledProcessing, NEWS_SOURCES, POLL_MINUTES, PROCESS_COUNT } = require('./server');
+const { app, supabase, isProcessing, runScheduledProcessing, processPushedItems, ingestUrl, NEWS_SOURCES, POLL_MINUTES, PROCESS_COUNT } = require('./server');
 const apiRouter = require('./api');
 const adminRoutesFactory = require('./routes/adminRoutes');
+const websubRoutesFactory = require('./routes/websubRoutes');
+const backfill = require('./backfill');
+const { startSourceRechecks, getSourceRecheckStatus } = require('./source-updates');
+const { getPageCacheStats } = require('./page-fetcher');
+const { getImagePipelineStats } = require('./image-pipeline');
+const { getSourceHealthSummary } = require('./source-health');
+const { getQuotaSnapshot } = require('./api-quota');
+const { getRegionFirstRegions } = require('./regions');
+const { getWebSubStatus, restoreWebSubCallbacks } = require('./websub');
 
 /* -------------------- Mount API routes -------------------- */
 app.use('/', apiRouter);
 
+/* -------------------- Mount WebSub callback (hub verification + pushes) -------------------- */
+// Static sources until the registry is loaded at the start of the first cycle (refreshNewsSources)
+restoreWebSubCallbacks(NEWS_SOURCES, { complete: false });
+app.use('/websub', websubRoutesFactory({ onItems: processPushedItems }));
+
 /* -------------------- Mount Admin routes (Supabase service role on server only) -------------------- */
 const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
   .split(',')
@@ -44,7 +58,9 @@ if (!process.env.SUPABASE_URL) {
       SUPABASE_URL: process.env.SUPABASE_URL,
       supabaseAdmin: supabase,
       ADMIN_EMAILS,
-      SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || ''
+      SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || '',
+      ingestUrl,
+      backfill
     });
     
     app.use('/admin', adminRoutes);
@@ -76,7 +92,23 @@ if (!process.env.SUPABASE_URL) {
           create_article: 'POST /admin/articles',
           update_article: 'PUT /admin/articles/:id',
           delete_article: 'DELETE /admin/articles/:id',
-          stats: 'GET /admin/stats'
+          stats: 'GET /admin/stats',
+          ingest: 'POST /admin/ingest',
+          backfill_jobs: 'GET /admin/backfill',
+          start_backfill: 'POST /admin/backfill',
+          backfill_job: 'GET /admin/backfill/:id',
+          backfill_control: 'POST /admin/backfill/:id/(pause|resume|cancel)',
+          extraction_rules: 'GET /admin/extraction/rules',
+          extraction_preview: 'POST /admin/extraction/preview',
+          sources: 'GET /admin/sources',
+          source_by_id: 'GET /admin/sources/:id',
+          create_source: 'POST /admin/sources',
+          update_source: 'PUT /admin/sources/:id',
+          delete_source: 'DELETE /admin/sources/:id',
+          seed_sources: 'POST /admin/sources/seed',
+          discover_feeds: 'POST /admin/sources/discover',
+          source_health: 'GET /admin/sources/health',
+          reset_source_health: 'POST /admin/sources/health/reset'
         }
       });
     });
@@ -109,7 +141,12 @@ app.get('/health', (req, res) => {
       processing: !!isProcessing,
       poll_minutes: POLL_MINUTES,
       process_count: PROCESS_COUNT,
-      sources: Object.keys(NEWS_SOURCES || {}).length
+      sources: Object.keys(NEWS_SOURCES || {}).length,
+      source_health: getSourceHealthSummary(),
+      websub: getWebSubStatus(),
+      source_rechecks: getSourceRecheckStatus(),
+      page_cache: getPageCacheStats(),
+      image_pipeline: getImagePipelineStats()
     },
     
     // Database status
@@ -124,7 +161,8 @@ app.get('/health', (req, res) => {
       newsapi: process.env.NEWSAPI_KEY ? 'Configured' : 'Not configured',
       gnews: process.env.GNEWS_API_KEY ? 'Configured' : 'Not configured',
       openrouter: process.env.OPENROUTER_API_KEY ? 'Configured' : 'Not configured',
-      groq: process.env.GROQ_API_KEY ? 'Configured' : 'Not configured'
+      groq: process.env.GROQ_API_KEY ? 'Configured' : 'Not configured',
+      quota: getQuotaSnapshot()
     },
     
     // Endpoints
@@ -274,7 +312,7 @@ const startServer = () => {
     🔥 LATEST HINDI NEWS CONFIGURATION:
     - Poll interval: ${POLL_MINUTES} minutes
     - Focus: LATEST NEWS (last 24 hours) -> rewritten to HINDI
-    - Priority: Uttarakhand → National → International
+    - Priority: ${getRegionFirstRegions().map(r => r.name).join(' → ') || 'Regions'} → National → International
     - Retention: 2 days cleanup
     - Features: 300+ words, video extraction
     - Items processed per cycle: ${PROCESS_COUNT}
@@ -291,7 +329,7 @@ const startServer = () => {
     - Admin routes: ${ADMIN_EMAILS.length > 0 && process.env.SUPABASE_URL && supabase ? 'Mounted' : 'Not available'}
 
     ⚡ SYSTEM FEATURES:
-    - Region-first (Uttarakhand) fetching + region fallback queries
+    - Region-first (${getRegionFirstRegions().map(r => r.key).join(', ')}) fetching + region fallback queries
     - Always fetches NEWEST articles first
     - Date sorting on all sources
     - Time-limited queries (last 24 hours)
@@ -309,6 +347,12 @@ const startServer = () => {
     🚀 Ready to deliver LATEST Hindi news!
     ============================================
     `);
+
+    // Continue any backfill job a restart interrupted
+    backfill.resumeInterruptedBackfills();
+
+    // Periodic recheck of recent articles' sources for updates
+    startSourceRechecks();
   });
 
   /* -------------------- Graceful shutdown -------------------- */
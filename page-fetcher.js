@@ -0,0 +1,109 @@
+// page-fetcher.js - Download and parse an article page once; short-lived cache shared by every extractor
+const cheerio = require("cheerio");
+const { politeFetch } = require("./politeness");
+
+/* -------------------- Config -------------------- */
+// Long enough to cover a processing cycle plus a retry or an admin reprocess
+const PAGE_CACHE_SECONDS = Number(process.env.PAGE_CACHE_SECONDS) || 900;
+// Parsed pages are large; keep only the most recent ones
+const MAX_CACHED_PAGES = Number(process.env.MAX_CACHED_PAGES) || 30;
+// Non-2xx answers are remembered briefly so parallel callers don't hammer a failing page
+const FAILURE_CACHE_SECONDS = 60;
+
+const DEFAULT_HEADERS = {
+  "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+  "Accept-Language": "en-US,en;q=0.5",
+  "Cache-Control": "no-cache",
+  "Pragma": "no-cache"
+};
+
+// url -> { promise, expiresAt }; requested and final (post-redirect) URLs both point at the entry
+const pageCache = new Map();
+const cacheStats = { hits: 0, misses: 0 };
+
+/* -------------------- Cache -------------------- */
+function cacheSet(url, entry) {
+  pageCache.delete(url);
+  pageCache.set(url, entry);
+  while (pageCache.size > MAX_CACHED_PAGES) {
+    pageCache.delete(pageCache.keys().next().value);
+  }
+}
+
+function cachedEntry(url) {
+  const entry = pageCache.get(url);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    pageCache.delete(url);
+    return null;
+  }
+  return entry;
+}
+
+/* -------------------- Fetch -------------------- */
+async function loadPage(url, options) {
+  const res = await politeFetch(url, {
+    userAgent: options.userAgent,
+    headers: { ...DEFAULT_HEADERS, ...(options.headers || {}) },
+    timeout: options.timeout || 20000
+  });
+
+  return {
+    ok: res.ok,
+    status: res.status,
+    url: res.url || url,
+    html: res.ok ? res.text : "",
+    // Parsed once here; extractors must treat it as read-only (see article-extractor.js)
+    $: res.ok ? cheerio.load(res.text) : null,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Fetch a publisher page through politeFetch and parse it with cheerio, once.
+ * Concurrent and repeated calls for the same URL share the result for PAGE_CACHE_SECONDS.
+ * Resolves to { ok, status, url, html, $, fetchedAt } — `$` is null when !ok.
+ * options: { userAgent, timeout, headers, fresh } — fresh skips the cache (the result is still stored).
+ * Rejects like politeFetch (ROBOTS_DISALLOWED, network errors); rejections are not cached.
+ */
+function fetchPage(url, options = {}) {
+  if (!options.fresh) {
+    const entry = cachedEntry(url);
+    if (entry) {
+      cacheStats.hits++;
+      return entry.promise;
+    }
+  }
+
+  cacheStats.misses++;
+  const entry = { promise: null, expiresAt: Date.now() + PAGE_CACHE_SECONDS * 1000 };
+  entry.promise = loadPage(url, options).then(
+    page => {
+      if (!page.ok) entry.expiresAt = Date.now() + FAILURE_CACHE_SECONDS * 1000;
+      if (page.url !== url) cacheSet(page.url, entry);
+      return page;
+    },
+    error => {
+      if (pageCache.get(url) === entry) pageCache.delete(url);
+      throw error;
+    }
+  );
+  cacheSet(url, entry);
+
+  return entry.promise;
+}
+
+function getPageCacheStats() {
+  return {
+    entries: pageCache.size,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    ttl_seconds: PAGE_CACHE_SECONDS
+  };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  fetchPage,
+  getPageCacheStats
+};
@@ -0,0 +1,305 @@
+// politeness.js - robots.txt rules, crawl-delay and per-domain rate/concurrency limits for article scraping
+
+/* -------------------- Config -------------------- */
+const DEFAULT_USER_AGENT = process.env.CRAWLER_USER_AGENT || "RTIndiaNewsBot/1.0 (+https://rt-india.com)";
+const ROBOTS_TTL_MS = (Number(process.env.ROBOTS_CACHE_MINUTES) || 360) * 60 * 1000;
+const ROBOTS_ERROR_TTL_MS = 30 * 60 * 1000;
+const DOMAIN_MIN_INTERVAL_MS = Number(process.env.DOMAIN_MIN_INTERVAL_MS) || 1000;
+const DOMAIN_MAX_CONCURRENCY = Number(process.env.DOMAIN_MAX_CONCURRENCY) || 2;
+const MAX_CRAWL_DELAY_MS = 30 * 1000;
+// Redirects are followed by hand so every hop gets its own robots.txt check and domain slot
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// origin -> { groups, fetchedAt, ttl, disallowAll, allowAll } | Promise while loading
+const robotsCache = new Map();
+// host -> { active, lastStart, waiting: [], timer, crawlDelayMs }
+const domainStates = new Map();
+
+/* -------------------- robots.txt parsing -------------------- */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+    const field = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      if (value) current.rules.push({ allow: field === "allow", pattern: value });
+    } else if (field === "crawl-delay") {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return groups;
+}
+
+function productToken(userAgent) {
+  return String(userAgent || "").split(/[/\s]/)[0].toLowerCase();
+}
+
+function selectGroup(groups, userAgent) {
+  const token = productToken(userAgent);
+  const specific = groups.find(g => g.agents.some(a => a !== "*" && token && (token === a || token.startsWith(a))));
+  return specific || groups.find(g => g.agents.includes("*")) || null;
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Longest matching rule wins; on equal length Allow wins (Google / RFC 9309 semantics).
+ */
+function isPathAllowed(group, pathWithQuery) {
+  if (!group) return true;
+
+  let best = null;
+  for (const rule of group.rules) {
+    if (!patternToRegex(rule.pattern).test(pathWithQuery)) continue;
+    if (!best || rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/* -------------------- robots.txt cache -------------------- */
+async function loadRobots(origin, userAgent) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 8000);
+
+  try {
+    const res = await fetch(`${origin}/robots.txt`, {
+      headers: { "User-Agent": userAgent, "Accept": "text/plain,*/*;q=0.5" },
+      signal: controller.signal
+    });
+
+    // 4xx: no robots.txt -> everything allowed
+    if (res.status >= 400 && res.status < 500) {
+      return { groups: [], fetchedAt: Date.now(), ttl: ROBOTS_TTL_MS, allowAll: true };
+    }
+    // 5xx: server trouble -> treat as full disallow for a short while
+    if (!res.ok) {
+      return { groups: [], fetchedAt: Date.now(), ttl: ROBOTS_ERROR_TTL_MS, disallowAll: true };
+    }
+
+    const text = await res.text();
+    return { groups: parseRobotsTxt(text), fetchedAt: Date.now(), ttl: ROBOTS_TTL_MS };
+
+  } catch (e) {
+    console.warn(`🤖 robots.txt unreachable for ${origin}:`, e.message);
+    return { groups: [], fetchedAt: Date.now(), ttl: ROBOTS_ERROR_TTL_MS, disallowAll: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function getRobots(origin, userAgent) {
+  const cached = robotsCache.get(origin);
+  if (cached && typeof cached.then === "function") return cached;
+  if (cached && Date.now() - cached.fetchedAt < cached.ttl) return cached;
+
+  // Share one in-flight request per origin
+  const pending = loadRobots(origin, userAgent).then(robots => {
+    robotsCache.set(origin, robots);
+    return robots;
+  });
+  robotsCache.set(origin, pending);
+  return pending;
+}
+
+/**
+ * Check robots.txt for url. Returns { allowed, crawlDelayMs }.
+ */
+async function checkRobots(url, userAgent = DEFAULT_USER_AGENT) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { allowed: false, crawlDelayMs: 0 };
+  }
+
+  const robots = await getRobots(parsed.origin, userAgent);
+  if (robots.allowAll) return { allowed: true, crawlDelayMs: 0 };
+  if (robots.disallowAll) return { allowed: false, crawlDelayMs: 0 };
+
+  const group = selectGroup(robots.groups, userAgent);
+  const crawlDelayMs = group && group.crawlDelay ? Math.min(group.crawlDelay * 1000, MAX_CRAWL_DELAY_MS) : 0;
+
+  return {
+    allowed: isPathAllowed(group, parsed.pathname + parsed.search),
+    crawlDelayMs
+  };
+}
+
+async function isAllowedByRobots(url, userAgent = DEFAULT_USER_AGENT) {
+  return (await checkRobots(url, userAgent)).allowed;
+}
+
+/* -------------------- Per-domain scheduling -------------------- */
+function getDomainState(host) {
+  let state = domainStates.get(host);
+  if (!state) {
+    state = { active: 0, lastStart: 0, waiting: [], timer: null, crawlDelayMs: 0 };
+    domainStates.set(host, state);
+  }
+  return state;
+}
+
+function pumpDomain(host) {
+  const state = getDomainState(host);
+  if (state.timer || state.waiting.length === 0 || state.active >= DOMAIN_MAX_CONCURRENCY) return;
+
+  const interval = Math.max(DOMAIN_MIN_INTERVAL_MS, state.crawlDelayMs);
+  const wait = state.lastStart + interval - Date.now();
+  if (wait > 0) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      pumpDomain(host);
+    }, wait);
+    return;
+  }
+
+  state.active++;
+  state.lastStart = Date.now();
+  const resolve = state.waiting.shift();
+
+  let released = false;
+  resolve(() => {
+    if (released) return;
+    released = true;
+    state.active--;
+    pumpDomain(host);
+  });
+
+  pumpDomain(host);
+}
+
+function acquireDomainSlot(host, crawlDelayMs = 0) {
+  const state = getDomainState(host);
+  state.crawlDelayMs = Math.max(state.crawlDelayMs, crawlDelayMs);
+  return new Promise(resolve => {
+    state.waiting.push(resolve);
+    pumpDomain(host);
+  });
+}
+
+/* -------------------- Polite fetch -------------------- */
+// Body as a Buffer, refusing anything over maxBytes (declared or streamed)
+async function readBinary(res, maxBytes) {
+  const tooLarge = () => {
+    const err = new Error(`Response larger than ${maxBytes} bytes`);
+    err.code = "TOO_LARGE";
+    return err;
+  };
+
+  if (maxBytes && Number(res.headers.get("content-length")) > maxBytes) {
+    await res.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (maxBytes && size > maxBytes) throw tooLarge();
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+async function robotsAllowedOrThrow(url, userAgent) {
+  const robots = await checkRobots(url, userAgent);
+  if (!robots.allowed) {
+    const err = new Error(`Disallowed by robots.txt: ${url}`);
+    err.code = "ROBOTS_DISALLOWED";
+    throw err;
+  }
+  return robots;
+}
+
+/**
+ * Fetch a publisher page honouring robots.txt, crawl-delay and per-domain limits, for the
+ * URL and for every redirect hop (at most MAX_REDIRECTS).
+ * Resolves to { ok, status, url, headers, text } with the body already read; url is the final hop.
+ * options.binary reads the body into `body` (a Buffer) instead of `text`; options.maxBytes
+ * caps it and throws an error with code "TOO_LARGE" beyond that.
+ * Throws an error with code "ROBOTS_DISALLOWED" when robots.txt forbids any hop.
+ */
+async function politeFetch(url, options = {}) {
+  const { userAgent = DEFAULT_USER_AGENT, timeout = 15000, headers = {}, binary = false, maxBytes = 0 } = options;
+  let target = url;
+
+  for (let hop = 0; ; hop++) {
+    const robots = await robotsAllowedOrThrow(target, userAgent);
+    const release = await acquireDomainSlot(new URL(target).host, robots.crawlDelayMs);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const res = await fetch(target, {
+        headers: { ...headers, "User-Agent": userAgent },
+        redirect: "manual",
+        signal: controller.signal
+      });
+
+      const location = REDIRECT_STATUSES.has(res.status) ? res.headers.get("location") : null;
+      if (location) {
+        await res.body?.cancel().catch(() => {});
+        if (hop >= MAX_REDIRECTS) throw new Error(`Too many redirects: ${url}`);
+        target = new URL(location, target).href;
+        if (!/^https?:/.test(target)) throw new Error(`Unsupported redirect target: ${target}`);
+        continue;
+      }
+
+      if (binary) {
+        const body = res.ok ? await readBinary(res, maxBytes) : null;
+        return { ok: res.ok, status: res.status, url: target, headers: res.headers, text: "", body };
+      }
+      const text = res.ok ? await res.text() : "";
+      return { ok: res.ok, status: res.status, url: target, headers: res.headers, text };
+    } finally {
+      clearTimeout(timer);
+      release();
+    }
+  }
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  DEFAULT_USER_AGENT,
+  parseRobotsTxt,
+  isPathAllowed,
+  checkRobots,
+  isAllowedByRobots,
+  politeFetch
+};
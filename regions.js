@@ -0,0 +1,126 @@
+// regions.js - Region editions: keywords, source matching, region-first queries and default images
+
+/* -------------------- Region Config -------------------- */
+/*
+ * Each region drives region-first fetching, region detection and default images.
+ * keywords: Latin + Devanagari terms matched (substring, case-insensitive) in text or source host
+ * sourceNames: substrings of source names that mark an RSS source as regional (when it has no region tag)
+ * gnews / newsapi / googleNews: query overrides; q defaults to keywords joined with OR
+ * defaultImages: optional per-genre images ("default" for any genre), falls back to genre images
+ */
+const REGIONS = {
+  uttarakhand: {
+    name: "Uttarakhand",
+    nameHi: "उत्तराखंड",
+    priority: 1,
+    keywords: [
+      "uttarakhand", "उत्तराखंड", "dehradun", "देहरादून",
+      "nainital", "नैनीताल", "almora", "अल्मोड़ा",
+      "pithoragarh", "पिथौरागढ़", "rudraprayag", "रुद्रप्रयाग",
+      "chamoli", "चमोली", "pauri", "पौड़ी", "champawat", "चम्पावत",
+      "haridwar", "हरिद्वार", "rishikesh", "ऋषिकेश"
+    ],
+    sourceNames: ["uttarakhand"],
+    gnews: { lang: "hi", country: "in" },
+    newsapi: { language: "hi" },
+    googleNews: { hl: "hi", gl: "IN", when: "1d" },
+    defaultImages: {
+      Politics: "https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=800&auto=format&fit=crop",
+      Environment: "https://images.unsplash.com/photo-1548013146-72479768bada?w=800&auto=format&fit=crop",
+      default: "https://images.unsplash.com/photo-1548013146-72479768bada?w=800&auto=format&fit=crop"
+    }
+  },
+
+  "himachal-pradesh": {
+    name: "Himachal Pradesh",
+    nameHi: "हिमाचल प्रदेश",
+    priority: 2,
+    keywords: [
+      "himachal", "हिमाचल", "shimla", "शिमला", "manali", "मनाली",
+      "kullu", "कुल्लू", "dharamshala", "धर्मशाला", "kangra", "कांगड़ा",
+      "solan", "सोलन", "chamba", "चंबा", "kinnaur", "किन्नौर",
+      "lahaul", "लाहौल", "spiti", "स्पीति", "sirmaur", "सिरमौर"
+    ],
+    sourceNames: ["himachal"],
+    gnews: { lang: "hi", country: "in" },
+    newsapi: { language: "hi" },
+    googleNews: { hl: "hi", gl: "IN", when: "1d" }
+  },
+
+  "uttar-pradesh": {
+    name: "Uttar Pradesh",
+    nameHi: "उत्तर प्रदेश",
+    priority: 3,
+    keywords: [
+      "uttar pradesh", "उत्तर प्रदेश", "lucknow", "लखनऊ", "kanpur", "कानपुर",
+      "varanasi", "वाराणसी", "prayagraj", "प्रयागराज", "gorakhpur", "गोरखपुर",
+      "meerut", "मेरठ", "noida", "नोएडा", "ghaziabad", "गाजियाबाद",
+      "ayodhya", "अयोध्या", "bareilly", "बरेली", "moradabad", "मुरादाबाद"
+    ],
+    sourceNames: ["uttar pradesh", "lucknow"],
+    gnews: { lang: "hi", country: "in" },
+    newsapi: { language: "hi" },
+    googleNews: { hl: "hi", gl: "IN", when: "1d" }
+  }
+};
+
+// Checked after all regions; anything else is "international"
+const NATIONAL_KEYWORDS = ["india", "delhi", "mumbai", "kolkata", "chennai", "bengaluru", "भारत", "दिल्ली"];
+
+// Regions fetched region-first every cycle (comma separated keys)
+const REGION_FIRST_KEYS = (process.env.REGION_FIRST || "uttarakhand")
+  .split(",")
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean);
+
+/* -------------------- Lookups -------------------- */
+function getRegion(key) {
+  const region = REGIONS[key];
+  return region ? { key, ...region } : null;
+}
+
+function getRegionsByPriority() {
+  return Object.keys(REGIONS)
+    .map(getRegion)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+function getRegionFirstRegions() {
+  return getRegionsByPriority().filter(r => REGION_FIRST_KEYS.includes(r.key));
+}
+
+/* -------------------- Matching -------------------- */
+function matchesRegionSource(source, region) {
+  if (source.region) return source.region === region.key;
+  const name = (source.name || "").toLowerCase();
+  return (region.sourceNames || [region.key]).some(n => name.includes(n));
+}
+
+function detectRegion(text, sourceHost = "") {
+  const t = (text || "").toLowerCase();
+  const s = (sourceHost || "").toLowerCase();
+
+  for (const region of getRegionsByPriority()) {
+    if (region.keywords.some((k) => t.includes(k) || s.includes(k))) return region.key;
+  }
+  if (NATIONAL_KEYWORDS.some((k) => t.includes(k) || s.includes(k))) return "india";
+  return "international";
+}
+
+/* -------------------- Region-first queries -------------------- */
+function buildRegionQuery(region, provider) {
+  const override = region[provider] || {};
+  return override.q || region.keywords.join(" OR ");
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  REGIONS,
+  NATIONAL_KEYWORDS,
+  getRegion,
+  getRegionsByPriority,
+  getRegionFirstRegions,
+  matchesRegionSource,
+  detectRegion,
+  buildRegionQuery
+};
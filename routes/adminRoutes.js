@@ -1,7 +1,15 @@
 // routes/adminRoutes.js
 const express = require('express');
+const sourceRegistry = require('../source-registry');
+const sourceHealth = require('../source-health');
+const { discoverFeeds } = require('../feed-discovery');
+const { fetchPage } = require('../page-fetcher');
+const { extractArticleBodyDetailed, extractArticleImage, extractArticleImageCandidates, extractArticleVideos, getExtractionRulesStatus } = require('../article-extractor');
+const { checkImageCandidate } = require('../image-quality');
+const { parseRewrittenBlocks } = require('../article-blocks');
+const { extractJsonLd } = require('../jsonld');
 
-module.exports = function adminRoutesFactory({ SUPABASE_URL, supabaseAdmin, ADMIN_EMAILS = [], SUPABASE_ANON_KEY = '' }) {
+module.exports = function adminRoutesFactory({ SUPABASE_URL, supabaseAdmin, ADMIN_EMAILS = [], SUPABASE_ANON_KEY = '', ingestUrl = null, backfill = null }) {
   if (!SUPABASE_URL) throw new Error('SUPABASE_URL required for adminRoutesFactory');
   if (!supabaseAdmin) throw new Error('supabaseAdmin client required for adminRoutesFactory');
 
@@ -233,6 +241,8 @@ module.exports = function adminRoutesFactory({ SUPABASE_URL, supabaseAdmin, ADMI
         slug: payload.slug,
         source_url: payload.source_url || '',
         ai_content: payload.ai_content || '',
+        // Hand-written text: blank lines separate paragraphs (same markup as the rewrite, see article-blocks.js)
+        ai_blocks: Array.isArray(payload.ai_blocks) ? payload.ai_blocks : parseRewrittenBlocks(payload.ai_content || ''),
         short_desc: payload.short_desc || (payload.ai_content || '').substring(0, 200) + '...',
         image_url: payload.image_url || `https://picsum.photos/seed/${Date.now()}/1200/630`,
         published_at: payload.published_at || now,
@@ -306,6 +316,11 @@ module.exports = function adminRoutesFactory({ SUPABASE_URL, supabaseAdmin, ADMI
       delete payload.id;
       delete payload.created_at;
       
+      // Edited text without new blocks: rebuild them so ai_blocks doesn't show the old version
+      if (typeof payload.ai_content === 'string' && !Array.isArray(payload.ai_blocks)) {
+        payload.ai_blocks = parseRewrittenBlocks(payload.ai_content);
+      }
+
       // Add update timestamp
       payload.updated_at = new Date().toISOString();
       
@@ -500,6 +515,593 @@ module.exports = function adminRoutesFactory({ SUPABASE_URL, supabaseAdmin, ADMI
     }
   });
 
+  // POST /admin/ingest - Run the full pipeline for one URL (body: { url, region?, genre? })
+  router.post('/ingest', requireAdmin, async (req, res) => {
+    if (typeof ingestUrl !== 'function') {
+      return res.status(501).json({
+        success: false,
+        error: 'Ingest not available'
+      });
+    }
+
+    const { url, region, genre } = req.body || {};
+
+    try {
+      console.log(`[ADMIN] Ingest requested by ${req.user.email}: ${url}`);
+      const result = await ingestUrl(url, { region, genre, requestedBy: req.user.email });
+
+      if (result.status === 'invalid') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request',
+          reason: result.reason,
+          message: result.message
+        });
+      }
+
+      // Audit log (created and skipped alike, so editors can see what happened to a URL)
+      try {
+        const created = result.status === 'created';
+        await supabaseAdmin.from('admin_audit').insert({
+          admin_email: req.user.email,
+          action: created ? 'ingest' : 'ingest_skipped',
+          article_id: created ? result.record.id : (result.existing ? result.existing.id : null),
+          article_title: created ? result.record.title : `${result.reason}: ${url}`,
+          created_at: new Date().toISOString()
+        });
+      } catch (auditError) {
+        console.warn('[ADMIN] Audit log error:', auditError.message);
+      }
+
+      if (result.status === 'created') {
+        return res.status(201).json({
+          success: true,
+          message: 'Article ingested successfully',
+          data: result.record
+        });
+      }
+
+      const messages = {
+        duplicate: 'An article from this URL already exists',
+        robots_disallowed: 'robots.txt does not allow fetching this URL',
+        fetch_failed: 'Could not fetch the page',
+        no_title: 'Could not find a title on the page',
+        ai_rewrite_failed: 'AI rewrite failed',
+        database_error: 'Saving the article failed',
+        processing_error: 'Processing failed'
+      };
+
+      res.status(result.reason === 'duplicate' ? 409 : 422).json({
+        success: false,
+        error: 'Not ingested',
+        reason: result.reason,
+        message: result.message || messages[result.reason] || 'Skipped',
+        data: result.existing || null
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Ingest error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /admin/extraction/rules - Per-domain body extraction rules currently loaded
+  router.get('/extraction/rules', requireAdmin, (req, res) => {
+    res.json({
+      success: true,
+      data: getExtractionRulesStatus()
+    });
+  });
+
+  // POST /admin/extraction/preview - What the pipeline would extract from a URL (body: { url, rules? })
+  // `rules` uses the extraction-rules.json format and replaces the file for this preview only
+  router.post('/extraction/preview', requireAdmin, async (req, res) => {
+    const { url, rules } = req.body || {};
+
+    let parsed;
+    try {
+      parsed = new URL(String(url || '').trim());
+      if (!/^https?:$/.test(parsed.protocol)) throw new Error('unsupported protocol');
+    } catch (e) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid http(s) URL is required'
+      });
+    }
+
+    if (rules !== undefined && (rules === null || typeof rules !== 'object' || Array.isArray(rules))) {
+      return res.status(400).json({
+        success: false,
+        error: 'rules must be an object keyed by host'
+      });
+    }
+
+    try {
+      const page = await fetchPage(parsed.href, { fresh: true });
+
+      if (!page.ok) {
+        return res.status(502).json({
+          success: false,
+          error: 'Fetch failed',
+          message: `HTTP ${page.status}`
+        });
+      }
+
+      const body = extractArticleBodyDetailed(page.$, page.url, { rules });
+      const generic = body.method === 'rule' ? extractArticleBodyDetailed(page.$, page.url, { rules: {} }) : null;
+
+      res.json({
+        success: true,
+        data: {
+          url: parsed.href,
+          final_url: page.url,
+          domain: body.domain,
+          rule: body.rule,
+          method: body.method,
+          selector: body.selector,
+          length: body.text.length,
+          word_count: body.text ? body.text.split(/\s+/).length : 0,
+          // The pipeline ignores bodies of 500 characters or less
+          accepted: body.text.length > 500,
+          text: body.text,
+          blocks: body.blocks,
+          image: extractArticleImage(page.$, page.url),
+          // Pre-download checks only; repetition and real-size checks run at ingest
+          image_candidates: extractArticleImageCandidates(page.$, page.url).map(c => ({
+            ...c,
+            rejected: checkImageCandidate(c.url, c)
+          })),
+          videos: extractArticleVideos(page.$, page.url) || [],
+          jsonld: extractJsonLd(page.$, page.url),
+          generic: generic ? {
+            method: generic.method,
+            selector: generic.selector,
+            length: generic.text.length,
+            text: generic.text.substring(0, 1000)
+          } : null
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'ROBOTS_DISALLOWED') {
+        return res.status(422).json({
+          success: false,
+          error: 'robots.txt does not allow fetching this URL'
+        });
+      }
+      console.error('[ADMIN] Extraction preview error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Backfill jobs need the runner from backfill.js
+  function requireBackfill(req, res, next) {
+    if (!backfill) {
+      return res.status(501).json({
+        success: false,
+        error: 'Backfill not available'
+      });
+    }
+    next();
+  }
+
+  // Job rows carry the collected items; only send them when asked for
+  function backfillJobResponse(job, includeItems = false) {
+    const { items, ...rest } = job;
+    return {
+      ...rest,
+      items_count: Array.isArray(items) ? items.length : 0,
+      ...(includeItems ? { items } : {})
+    };
+  }
+
+  // POST /admin/backfill - Start a backfill job (body: { from, to, sources: [keys], max_items?, max_pages? })
+  router.post('/backfill', requireAdmin, requireBackfill, async (req, res) => {
+    try {
+      const payload = req.body || {};
+      const errors = backfill.validateBackfill(payload);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid backfill request',
+          details: errors
+        });
+      }
+
+      console.log(`[ADMIN] Backfill requested by ${req.user.email}: ${payload.from} → ${payload.to}`);
+      const data = await backfill.startBackfill(payload, req.user.email);
+
+      res.status(202).json({
+        success: true,
+        message: 'Backfill job started',
+        data: backfillJobResponse(data)
+      });
+
+    } catch (error) {
+      if (error.code === 'BACKFILL_BUSY') {
+        return res.status(409).json({ success: false, error: 'Busy', message: error.message });
+      }
+      console.error('[ADMIN] Backfill start error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /admin/backfill - Recent backfill jobs with progress
+  router.get('/backfill', requireAdmin, requireBackfill, async (req, res) => {
+    try {
+      const data = await backfill.listBackfillJobs(Math.min(parseInt(req.query.limit) || 20, 100));
+      res.json({ success: true, data });
+
+    } catch (error) {
+      console.error('[ADMIN] Backfill list error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /admin/backfill/:id - Single job (?include_items=true for the collected items)
+  router.get('/backfill/:id', requireAdmin, requireBackfill, async (req, res) => {
+    try {
+      const data = await backfill.getBackfillJob(req.params.id);
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Backfill job not found'
+        });
+      }
+
+      res.json({ success: true, data: backfillJobResponse(data, req.query.include_items === 'true') });
+
+    } catch (error) {
+      console.error('[ADMIN] Backfill get error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /admin/backfill/:id/(pause|resume|cancel) - Job control
+  router.post('/backfill/:id/:action(pause|resume|cancel)', requireAdmin, requireBackfill, async (req, res) => {
+    const { id, action } = req.params;
+
+    try {
+      console.log(`[ADMIN] Backfill ${id}: ${action} by ${req.user.email}`);
+      const data = action === 'resume'
+        ? await backfill.resumeBackfill(id)
+        : await backfill.stopBackfill(id, action === 'pause' ? 'paused' : 'cancelled');
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Backfill job not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Backfill job ${action} requested`,
+        data: backfillJobResponse(data)
+      });
+
+    } catch (error) {
+      if (error.code === 'BACKFILL_BUSY' || error.code === 'BACKFILL_FINISHED') {
+        return res.status(409).json({ success: false, error: 'Conflict', message: error.message });
+      }
+      console.error('[ADMIN] Backfill control error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /admin/sources - List all sources in the registry (enabled and disabled)
+  router.get('/sources', requireAdmin, async (req, res) => {
+    try {
+      const data = await sourceRegistry.listSources(supabaseAdmin);
+
+      res.json({
+        success: true,
+        data,
+        using_static_fallback: data.length === 0,
+        static_sources: data.length === 0 ? Object.keys(sourceRegistry.STATIC_SOURCES).length : 0
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Sources list error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /admin/sources/seed - Copy the static RSS/API sources into the registry
+  router.post('/sources/seed', requireAdmin, async (req, res) => {
+    try {
+      const data = await sourceRegistry.seedSources(supabaseAdmin);
+      console.log(`[ADMIN] Seeded ${data.length} sources`);
+
+      res.json({
+        success: true,
+        message: `Seeded ${data.length} sources`,
+        data
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Sources seed error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /admin/sources/health - Per-source fetch health and circuit-breaker state
+  router.get('/sources/health', requireAdmin, (req, res) => {
+    res.json({
+      success: true,
+      summary: sourceHealth.getSourceHealthSummary(),
+      data: sourceHealth.getSourceHealth()
+    });
+  });
+
+  // POST /admin/sources/health/reset - Clear health state (one source via ?key=, or all)
+  router.post('/sources/health/reset', requireAdmin, (req, res) => {
+    const key = req.query.key || (req.body && req.body.key) || null;
+    sourceHealth.resetSourceHealth(key);
+    console.log(`[ADMIN] Reset source health: ${key || 'all'}`);
+
+    res.json({
+      success: true,
+      message: key ? `Health reset for ${key}` : 'Health reset for all sources'
+    });
+  });
+
+  // POST /admin/sources/discover - Find feeds for a site URL (body: { url })
+  router.post('/sources/discover', requireAdmin, async (req, res) => {
+    try {
+      const { url, include_failed = false } = req.body || {};
+
+      if (!url || !String(url).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'URL is required'
+        });
+      }
+
+      console.log(`[ADMIN] Discovering feeds for ${url}`);
+      const data = await discoverFeeds(url, { includeFailed: include_failed === true || include_failed === 'true' });
+
+      res.json({
+        success: true,
+        data
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_URL') {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('[ADMIN] Feed discovery error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Discovery failed',
+        message: error.message
+      });
+    }
+  });
+
+  // GET /admin/sources/:id - Get single source
+  router.get('/sources/:id', requireAdmin, async (req, res) => {
+    try {
+      const data = await sourceRegistry.getSource(supabaseAdmin, req.params.id);
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Source not found'
+        });
+      }
+
+      res.json({ success: true, data });
+
+    } catch (error) {
+      console.error('[ADMIN] Single source error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
+  // POST /admin/sources - Create source
+  router.post('/sources', requireAdmin, async (req, res) => {
+    try {
+      const payload = req.body || {};
+      const errors = sourceRegistry.validateSource(payload);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid source',
+          details: errors
+        });
+      }
+
+      console.log(`[ADMIN] Creating source: ${payload.name} (${payload.type})`);
+      const data = await sourceRegistry.createSource(supabaseAdmin, payload);
+
+      // Log to audit trail (sources are not articles: no article_id, the title names the source)
+      try {
+        await supabaseAdmin.from('admin_audit').insert({
+          admin_email: req.user.email,
+          action: 'source_create',
+          article_id: null,
+          article_title: `source ${data.key}: ${data.name}`,
+          created_at: new Date().toISOString()
+        });
+      } catch (auditError) {
+        console.warn('[ADMIN] Audit log error:', auditError.message);
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Source created successfully',
+        data
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Create source error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
+  // PUT /admin/sources/:id - Update source (partial)
+  router.put('/sources/:id', requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+      const payload = req.body || {};
+      const patchErrors = sourceRegistry.validateSource(payload, { partial: true });
+
+      if (patchErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid source',
+          details: patchErrors
+        });
+      }
+
+      const existing = await sourceRegistry.getSource(supabaseAdmin, id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Source not found'
+        });
+      }
+
+      // The patch can change the type or drop config keys, so the merged source is validated in full
+      const merged = sourceRegistry.mergeSourceUpdate(existing, payload);
+      const errors = sourceRegistry.validateSource(merged);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid source',
+          details: errors
+        });
+      }
+
+      console.log(`[ADMIN] Updating source ${id}`);
+      const data = await sourceRegistry.updateSource(supabaseAdmin, id, merged);
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Source not found'
+        });
+      }
+
+      // Log to audit trail
+      try {
+        await supabaseAdmin.from('admin_audit').insert({
+          admin_email: req.user.email,
+          action: 'source_update',
+          article_id: null,
+          article_title: `source ${data.key}: ${data.name}`,
+          created_at: new Date().toISOString()
+        });
+      } catch (auditError) {
+        console.warn('[ADMIN] Audit log error:', auditError.message);
+      }
+
+      res.json({
+        success: true,
+        message: 'Source updated successfully',
+        data
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Update source error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
+  // DELETE /admin/sources/:id - Delete source
+  router.delete('/sources/:id', requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+      console.log(`[ADMIN] Deleting source ${id}`);
+
+      const data = await sourceRegistry.deleteSource(supabaseAdmin, id);
+
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: 'Source not found'
+        });
+      }
+
+      // Log to audit trail
+      try {
+        await supabaseAdmin.from('admin_audit').insert({
+          admin_email: req.user.email,
+          action: 'source_delete',
+          article_id: null,
+          article_title: `source ${data.key}: ${data.name}`,
+          created_at: new Date().toISOString()
+        });
+      } catch (auditError) {
+        console.warn('[ADMIN] Audit log error:', auditError.message);
+      }
+
+      res.json({
+        success: true,
+        message: 'Source deleted successfully',
+        data
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Delete source error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Database error',
+        message: error.message
+      });
+    }
+  });
+
   // GET /admin/health - Health check
   router.get('/health', (req, res) => {
     res.json({
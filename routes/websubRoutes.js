@@ -0,0 +1,37 @@
+// routes/websubRoutes.js
+const express = require('express');
+const websub = require('../websub');
+
+module.exports = function websubRoutesFactory({ onItems }) {
+  if (typeof onItems !== 'function') throw new Error('onItems handler required for websubRoutesFactory');
+
+  const router = express.Router();
+
+  // Verification of intent: echo hub.challenge for subscriptions we asked for
+  router.get('/callback/:id', (req, res) => {
+    const result = websub.verifyIntent(req.params.id, req.query);
+    res.status(result.status).type('text/plain').send(result.body);
+  });
+
+  // Content distribution: raw body is needed for the X-Hub-Signature HMAC
+  router.post('/callback/:id', express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+    try {
+      // JSON pushes may already have been consumed by express.json (rawBody kept in server.js)
+      const rawBody = Buffer.isBuffer(req.body) ? req.body : (req.rawBody || Buffer.alloc(0));
+      const result = await websub.handlePush(req.params.id, rawBody, req.headers);
+
+      res.status(result.status).end();
+
+      if (result.items.length > 0) {
+        Promise.resolve(onItems(result.items, result.source))
+          .catch(e => console.error('❌ WebSub pushed items failed:', e.message));
+      }
+    } catch (error) {
+      console.error('❌ WebSub push handling failed:', error.message);
+      // Still acknowledge: the next poll picks the items up
+      if (!res.headersSent) res.status(202).end();
+    }
+  });
+
+  return router;
+};
@@ -9,17 +9,186 @@ const parser = new RSSParser({
       ['media:content', 'media:content', { keepArray: true }],
       ['media:thumbnail', 'media:thumbnail', { keepArray: true }],
       ['media:group', 'media:group'],
-      ['enclosure', 'enclosure', { keepArray: true }]
+      ['enclosure', 'enclosure', { keepArray: true }],
+      ['source', 'source'],
+      ['updated', 'updated'],
+      ['atom:updated', 'atomUpdated']
     ]
   }
 });
 
+/* -------------------- Feed-level cache (conditional GET + seen GUIDs) -------------------- */
+// feedUrl -> { etag, lastModified, seenGuids: Set, retryItems: Map, updatedByGuid: Map, lastCheckedAt, lastStatus, hub, self }
+const feedCache = new Map();
+const MAX_SEEN_GUIDS_PER_FEED = Number(process.env.MAX_SEEN_GUIDS_PER_FEED) || 500;
+// Handed-out items not yet processed (guid -> item), offered again when the feed answers 304
+const MAX_RETRY_ITEMS_PER_FEED = 50;
+
+// Already-seen items whose feed "updated" date moved on; drained by source-updates.js
+const pendingFeedUpdates = [];
+const MAX_PENDING_FEED_UPDATES = 500;
+
+function getFeedCacheEntry(feedUrl) {
+  let entry = feedCache.get(feedUrl);
+  if (!entry) {
+    entry = { etag: null, lastModified: null, seenGuids: new Set(), retryItems: new Map(), updatedByGuid: new Map(), lastCheckedAt: null, lastStatus: null, hub: null, self: null };
+    feedCache.set(feedUrl, entry);
+  }
+  return entry;
+}
+
+function itemGuid(item) {
+  return String(item.guid || item.id || item.link || item.url || item.title || "");
+}
+
+function rememberGuids(entry, guids) {
+  for (const guid of guids) {
+    if (!guid) continue;
+    // Re-insert so the Set keeps most recently seen GUIDs at the end
+    entry.seenGuids.delete(guid);
+    entry.seenGuids.add(guid);
+  }
+  while (entry.seenGuids.size > MAX_SEEN_GUIDS_PER_FEED) {
+    entry.seenGuids.delete(entry.seenGuids.values().next().value);
+  }
+}
+
+/**
+ * Remember the feed GUIDs of items the pipeline is done with (stored, or already stored).
+ * Items carry feedGuid: { feedUrl, guid } from parseFeedBody; items without one are ignored.
+ * Until then an item keeps coming back each cycle (from the body, or from the retry list
+ * when the feed answers 304), so failed or cut items are retried.
+ */
+function markItemsSeen(items) {
+  const byFeed = new Map();
+  for (const item of items || []) {
+    const ref = item && item.feedGuid;
+    if (!ref || !ref.guid) continue;
+    if (!byFeed.has(ref.feedUrl)) byFeed.set(ref.feedUrl, []);
+    byFeed.get(ref.feedUrl).push(ref.guid);
+  }
+
+  for (const [feedUrl, guids] of byFeed) {
+    const entry = feedCache.get(feedUrl);
+    if (!entry) continue;
+    rememberGuids(entry, guids);
+    guids.forEach(guid => entry.retryItems.delete(guid));
+  }
+}
+
+// Newest-first union of freshly parsed items and earlier unprocessed ones, capped per feed
+function keepForRetry(entry, items) {
+  const merged = new Map();
+  for (const item of [...items, ...entry.retryItems.values()]) {
+    const guid = item.feedGuid && item.feedGuid.guid;
+    if (guid && !merged.has(guid) && !entry.seenGuids.has(guid)) merged.set(guid, item);
+  }
+  entry.retryItems = new Map(
+    Array.from(merged.entries())
+      .sort(([, a], [, b]) => new Date(b.pubDate || 0) - new Date(a.pubDate || 0))
+      .slice(0, MAX_RETRY_ITEMS_PER_FEED)
+  );
+}
+
+function itemUpdated(item) {
+  return item.updated || item.atomUpdated || null;
+}
+
+// Seen items are filtered out, so a changed "updated" date is the only sign the publisher edited them
+function trackUpdatedDates(entry, items, feedUrl) {
+  for (const item of items) {
+    const updated = itemUpdated(item);
+    const guid = itemGuid(item);
+    if (!updated || !guid || isNaN(new Date(updated))) continue;
+
+    const previous = entry.updatedByGuid.get(guid);
+    if (previous && new Date(updated) > new Date(previous) && entry.seenGuids.has(guid)) {
+      pendingFeedUpdates.push({ url: item.link || item.guid || item.url, updated, feedUrl });
+      if (pendingFeedUpdates.length > MAX_PENDING_FEED_UPDATES) pendingFeedUpdates.shift();
+    }
+
+    entry.updatedByGuid.delete(guid);
+    entry.updatedByGuid.set(guid, updated);
+  }
+  while (entry.updatedByGuid.size > MAX_SEEN_GUIDS_PER_FEED) {
+    entry.updatedByGuid.delete(entry.updatedByGuid.keys().next().value);
+  }
+}
+
+/**
+ * Take (and clear) the list of { url, updated, feedUrl } for already-seen items updated in their feed.
+ */
+function drainFeedUpdates() {
+  return pendingFeedUpdates.splice(0, pendingFeedUpdates.length);
+}
+
+function clearFeedCache(feedUrl) {
+  if (feedUrl) feedCache.delete(feedUrl);
+  else feedCache.clear();
+}
+
+function getFeedCacheStats() {
+  return Array.from(feedCache.entries()).map(([url, e]) => ({
+    url,
+    etag: e.etag,
+    last_modified: e.lastModified,
+    seen_guids: e.seenGuids.size,
+    retry_items: e.retryItems.size,
+    last_checked_at: e.lastCheckedAt,
+    last_status: e.lastStatus,
+    websub_hub: e.hub || null
+  }));
+}
+
 /* -------------------- Utils -------------------- */
 function sanitizeXml(xml) {
   if (!xml) return xml;
   return xml.replace(/&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9A-Fa-f]+);)/g, "&amp;");
 }
 
+/* -------------------- JSON Feed (jsonfeed.org) -------------------- */
+function isJSONFeed(text, contentType = "") {
+  const ct = String(contentType || "").toLowerCase();
+  if (ct.includes("json")) return true;
+  return /^\s*\{/.test(text || "");
+}
+
+/**
+ * Parse a JSON Feed (version 1 / 1.1) into the same shape rss-parser produces,
+ * so the rest of fetchRSSFeed (sorting, GUID cache, image lookup) works unchanged.
+ */
+function parseJSONFeed(text) {
+  const json = JSON.parse(text);
+  if (!json || !Array.isArray(json.items) || !String(json.version || "").includes("jsonfeed.org")) {
+    throw new Error("Not a valid JSON Feed");
+  }
+
+  const items = json.items.map(entry => {
+    let snippet = entry.summary || entry.content_text || "";
+    if (!snippet && entry.content_html) {
+      try {
+        snippet = cheerio.load(entry.content_html).text().trim();
+      } catch (e) {
+        snippet = "";
+      }
+    }
+
+    return {
+      title: entry.title || snippet.slice(0, 120),
+      link: entry.url || entry.external_url,
+      guid: entry.id != null ? String(entry.id) : (entry.url || entry.external_url),
+      isoDate: entry.date_published || entry.date_modified || null,
+      pubDate: entry.date_published || entry.date_modified || null,
+      updated: entry.date_modified || null,
+      contentSnippet: snippet,
+      content: entry.content_html || entry.content_text || "",
+      image: entry.image || entry.banner_image || null
+    };
+  });
+
+  return { title: json.title, link: json.home_page_url, feedUrl: json.feed_url, hubs: json.hubs || [], items };
+}
+
 function timeoutFetch(resource, options = {}) {
   const { timeout = 15000 } = options;
   const controller = new AbortController();
@@ -51,120 +220,247 @@ async function fetchWithRetries(url, opts = {}, retries = 2, backoffBase = 500)
   throw lastErr;
 }
 
+/* -------------------- Feed body parsing -------------------- */
+function extractItemImage(item) {
+  // JSON Feed items carry the image directly
+  let image = typeof item.image === 'string' ? item.image : null;
+
+  // enclosure array or object
+  if (!image && item.enclosure && typeof item.enclosure === 'object') {
+    const enc = item.enclosure;
+    if (Array.isArray(enc)) {
+      const found = enc.find(e => e && e.url && e.type && e.type.startsWith('image/'));
+      if (found) image = found.url;
+    } else if (enc.url && enc.type && String(enc.type).startsWith('image/')) {
+      image = enc.url;
+    }
+  }
+
+  // media:content or media:thumbnail
+  if (!image && item['media:content']) {
+    const mc = item['media:content'];
+    if (Array.isArray(mc)) {
+      const m = mc.find(x => x && x.url);
+      if (m) image = m.url;
+    } else if (mc.url) {
+      image = mc.url;
+    }
+  }
+
+  if (!image && item['media:thumbnail']) {
+    const mt = item['media:thumbnail'];
+    if (Array.isArray(mt)) {
+      const m = mt.find(x => x && x.url);
+      if (m) image = m.url;
+    } else if (mt.url) {
+      image = mt.url;
+    }
+  }
+
+  // fallback: look into content/html for first <img>
+  if (!image && item.content && typeof item.content === 'string' && item.content.includes('<img')) {
+    try {
+      const $ = cheerio.load(item.content);
+      const firstImg = $('img').first();
+      if (firstImg.length) {
+        image = firstImg.attr('src');
+      }
+    } catch (e) {
+      // ignore parsing errors
+    }
+  }
+
+  // final fallback: media:group or content:encoded
+  if (!image && item['media:group']) {
+    const mg = item['media:group'];
+    if (Array.isArray(mg) && mg.length > 0) {
+      const candidate = mg[0];
+      if (candidate['media:content'] && candidate['media:content'].url) image = candidate['media:content'].url;
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Parse a feed body (RSS, Atom or JSON Feed) into normalized items, newest first.
+ * With a cache entry, items whose GUID was already seen are dropped; the rest carry feedGuid
+ * and are only remembered once processed (markItemsSeen).
+ * Shared by the poller and the WebSub push callback.
+ */
+async function parseFeedBody(bodyText, feedUrl, options = {}) {
+  const { contentType = "", maxItems = 10, useCache = false } = options;
+  const cacheEntry = options.cacheEntry || (useCache ? getFeedCacheEntry(feedUrl) : null);
+
+  // RSS and Atom go through rss-parser; JSON Feed is mapped to the same shape
+  const feed = isJSONFeed(bodyText, contentType)
+    ? parseJSONFeed(bodyText)
+    : await parser.parseString(sanitizeXml(bodyText));
+
+  if (!feed || !feed.items || feed.items.length === 0) {
+    return { feed, items: [] };
+  }
+
+  let items = feed.items
+    .slice()
+    .sort((a, b) => {
+      const dateA = new Date(a.pubDate || a.isoDate || 0);
+      const dateB = new Date(b.pubDate || b.isoDate || 0);
+      return dateB - dateA;
+    })
+    .slice(0, maxItems);
+
+  if (cacheEntry) {
+    const before = items.length;
+    if (!cacheEntry.updatedByGuid) cacheEntry.updatedByGuid = new Map();
+    trackUpdatedDates(cacheEntry, items, feedUrl);
+    items = items.filter(item => !cacheEntry.seenGuids.has(itemGuid(item)));
+    if (before !== items.length) {
+      console.log(`   ⏭️ Skipped ${before - items.length} already-seen items`);
+    }
+  }
+
+  return {
+    feed,
+    items: items.map(item => ({
+      title: item.title || "No title",
+      description: item.contentSnippet || item.description || (item.summary || "") || item.title || "",
+      url: item.link || item.guid || item.url,
+      image: extractItemImage(item),
+      pubDate: item.pubDate || item.isoDate || null,
+      updated: itemUpdated(item),
+      source: (feed && feed.title) ? feed.title : feedUrl,
+      feedGuid: cacheEntry ? { feedUrl, guid: itemGuid(item) } : null,
+      raw: item
+    }))
+  };
+}
+
+/* -------------------- WebSub discovery -------------------- */
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, "i"));
+  return m ? (m[1] !== undefined ? m[1] : m[2]) : null;
+}
+
+/**
+ * Find the WebSub hub and self (topic) URLs advertised by a feed:
+ * HTTP Link header first, then <link rel="hub"> / <atom:link rel="self">, then JSON Feed "hubs".
+ */
+function findWebSubLinks(bodyText, linkHeader, feed) {
+  const links = { hub: null, self: null };
+
+  for (const m of String(linkHeader || "").matchAll(/<([^>]+)>\s*;[^,]*?rel\s*=\s*"?([^",;]+)"?/gi)) {
+    const rels = m[2].toLowerCase().split(/\s+/);
+    if (rels.includes("hub") && !links.hub) links.hub = m[1];
+    if (rels.includes("self") && !links.self) links.self = m[1];
+  }
+
+  for (const tag of String(bodyText || "").slice(0, 20000).match(/<(?:[\w-]+:)?link\b[^>]*>/gi) || []) {
+    const rel = (attr(tag, "rel") || "").toLowerCase();
+    const href = attr(tag, "href");
+    if (!href) continue;
+    if (rel === "hub" && !links.hub) links.hub = href;
+    if (rel === "self" && !links.self) links.self = href;
+  }
+
+  if (!links.hub && feed && Array.isArray(feed.hubs)) {
+    const hub = feed.hubs.find(h => h && h.url && /websub|pubsubhubbub/i.test(h.type || "websub"));
+    if (hub) links.hub = hub.url;
+  }
+  if (!links.self && feed && feed.feedUrl) links.self = feed.feedUrl;
+
+  return links;
+}
+
+function getFeedWebSubLinks(feedUrl) {
+  const entry = feedCache.get(feedUrl);
+  return entry ? { hub: entry.hub || null, self: entry.self || null } : { hub: null, self: null };
+}
+
 /* -------------------- RSS Feed Fetcher -------------------- */
-async function fetchRSSFeed(feedUrl, maxItems = 10) {
+/**
+ * Fetch and parse a feed. By default (useCache) items whose GUID was marked seen
+ * (markItemsSeen) are skipped and the request is conditional on the ETag / Last-Modified
+ * of the previous fetch. Items handed out earlier but not processed yet are returned again,
+ * on a 304 as well as with a new body.
+ * Errors are logged and swallowed unless throwOnError is set (used for source health tracking).
+ */
+async function fetchRSSFeed(feedUrl, maxItems = 10, options = {}) {
+  const { useCache = true, throwOnError = false } = options;
+
   try {
     console.log(`📡 Fetching LATEST RSS: ${feedUrl}`);
 
+    const cacheEntry = useCache ? getFeedCacheEntry(feedUrl) : null;
+    const headers = {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+      "Accept": "application/rss+xml, application/atom+xml, application/feed+json, application/json;q=0.9, application/xml, text/xml, */*;q=0.1"
+    };
+    if (cacheEntry && cacheEntry.etag) headers["If-None-Match"] = cacheEntry.etag;
+    if (cacheEntry && cacheEntry.lastModified) headers["If-Modified-Since"] = cacheEntry.lastModified;
+
     const response = await fetchWithRetries(feedUrl, {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-        "Accept": "application/rss+xml, application/xml, text/xml, */*;q=0.1"
-      },
+      headers,
       timeout: 15000
     }, 2, 400);
 
+    if (cacheEntry) {
+      cacheEntry.lastCheckedAt = new Date().toISOString();
+      cacheEntry.lastStatus = response.status;
+    }
+
+    if (response.status === 304) {
+      // Unprocessed items from earlier fetches are still due
+      const retry = cacheEntry ? Array.from(cacheEntry.retryItems.values()).slice(0, maxItems) : [];
+      console.log(`   ⏭️ Not modified since last fetch: ${feedUrl}${retry.length ? ` (${retry.length} unprocessed item(s) retried)` : ""}`);
+      return retry;
+    }
+
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
     }
 
-    let xmlText = await response.text();
-    xmlText = sanitizeXml(xmlText);
+    const bodyText = await response.text();
+    const { feed, items: parsedItems } = await parseFeedBody(bodyText, feedUrl, {
+      contentType: response.headers.get("content-type"),
+      maxItems,
+      cacheEntry
+    });
 
-    const feed = await parser.parseString(xmlText);
+    let items = parsedItems;
+    // Only remember validators once the body parsed, so a broken response is re-fetched in full
+    if (cacheEntry) {
+      // Handed out now; cleared by markItemsSeen once the pipeline is done with them
+      keepForRetry(cacheEntry, parsedItems);
+      items = Array.from(cacheEntry.retryItems.values()).slice(0, maxItems);
+      cacheEntry.etag = response.headers.get("etag") || null;
+      cacheEntry.lastModified = response.headers.get("last-modified") || null;
+
+      // WebSub: hub / self links from the body or Link header (see websub.js)
+      const links = findWebSubLinks(bodyText, response.headers.get("link"), feed);
+      cacheEntry.hub = links.hub;
+      cacheEntry.self = links.self;
+    }
 
     if (!feed || !feed.items || feed.items.length === 0) {
       console.warn(`No items in feed: ${feedUrl}`);
       return [];
     }
 
-    let items = feed.items
-      .sort((a, b) => {
-        const dateA = new Date(a.pubDate || a.isoDate || 0);
-        const dateB = new Date(b.pubDate || b.isoDate || 0);
-        return dateB - dateA;
-      })
-      .slice(0, maxItems);
-
     console.log(`✅ Fetched ${items.length} LATEST items from RSS: ${feedUrl}`);
 
     if (items.length > 0) {
       try {
-        const latestDate = new Date(items[0].pubDate || items[0].isoDate).toLocaleString('hi-IN');
+        const latestDate = new Date(items[0].pubDate).toLocaleString('hi-IN');
         console.log(`   📅 Latest RSS item: ${latestDate}`);
       } catch (e) { /* ignore */ }
     }
 
-    return items.map(item => {
-      let image = null;
-
-      // enclosure array or object
-      if (item.enclosure && typeof item.enclosure === 'object') {
-        const enc = item.enclosure;
-        if (Array.isArray(enc)) {
-          const found = enc.find(e => e && e.url && e.type && e.type.startsWith('image/'));
-          if (found) image = found.url;
-        } else if (enc.url && enc.type && String(enc.type).startsWith('image/')) {
-          image = enc.url;
-        }
-      }
-
-      // media:content or media:thumbnail
-      if (!image && item['media:content']) {
-        const mc = item['media:content'];
-        if (Array.isArray(mc)) {
-          const m = mc.find(x => x && x.url);
-          if (m) image = m.url;
-        } else if (mc.url) {
-          image = mc.url;
-        }
-      }
-
-      if (!image && item['media:thumbnail']) {
-        const mt = item['media:thumbnail'];
-        if (Array.isArray(mt)) {
-          const m = mt.find(x => x && x.url);
-          if (m) image = m.url;
-        } else if (mt.url) {
-          image = mt.url;
-        }
-      }
-
-      // fallback: look into content/html for first <img>
-      if (!image && item.content && typeof item.content === 'string' && item.content.includes('<img')) {
-        try {
-          const $ = cheerio.load(item.content);
-          const firstImg = $('img').first();
-          if (firstImg.length) {
-            image = firstImg.attr('src');
-          }
-        } catch (e) {
-          // ignore parsing errors
-        }
-      }
-
-      // final fallback: media:group or content:encoded
-      if (!image && item['media:group']) {
-        const mg = item['media:group'];
-        if (Array.isArray(mg) && mg.length > 0) {
-          const candidate = mg[0];
-          if (candidate['media:content'] && candidate['media:content'].url) image = candidate['media:content'].url;
-        }
-      }
-
-      return {
-        title: item.title || "No title",
-        description: item.contentSnippet || item.description || (item.summary || "") || item.title || "",
-        url: item.link || item.guid || item.url,
-        image: image,
-        pubDate: item.pubDate || item.isoDate || null,
-        source: (feed && feed.title) ? feed.title : feedUrl,
-        raw: item
-      };
-    });
+    return items;
 
   } catch (error) {
     console.warn(`❌ Failed to fetch RSS ${feedUrl}:`, error && error.message ? error.message : error);
+    if (throwOnError) throw error;
     return [];
   }
 }
@@ -340,7 +636,8 @@ async function fetchAllRSSFeeds() {
  */
 async function testRSSSource(feedUrl, maxItems = 3) {
   try {
-    const items = await fetchRSSFeed(feedUrl, maxItems);
+    // Diagnostics must always see the full feed, not just unseen items
+    const items = await fetchRSSFeed(feedUrl, maxItems, { useCache: false });
     return {
       url: feedUrl,
       ok: Array.isArray(items) && items.length > 0,
@@ -376,9 +673,17 @@ function normalizeRSSArticle(apiArticle, sourceConfig) {
 /* -------------------- Export -------------------- */
 module.exports = {
   fetchRSSFeed,
+  parseFeedBody,
+  getFeedWebSubLinks,
   fetchAllRSSFeeds,
   RSS_SOURCES,
   normalizeRSSArticle,
+  parseJSONFeed,
   parser,
-  testRSSSource
+  fetchWithRetries,
+  testRSSSource,
+  clearFeedCache,
+  getFeedCacheStats,
+  drainFeedUpdates,
+  markItemsSeen
 };
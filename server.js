@@ -1,4 +1,4 @@
-// server.js - ENHANCED VERSION: LATEST HINDI NEWS (Uttarakhand → National → International)
+// server.js - ENHANCED VERSION: LATEST HINDI NEWS (Regions → National → International)
 // Main orchestration file - RSS and API fetching separated into modules
 require("dotenv").config();
 
@@ -7,8 +7,27 @@ const slugify = require("slugify");
 const { createClient } = require("@supabase/supabase-js");
 
 // Import separated modules
-const { fetchRSSFeed, RSS_SOURCES } = require("./rss-fetcher");
-const { fetchFromNewsAPI, fetchFromGNewsAPI, API_SOURCES } = require("./api-fetchers");
+const { fetchRSSFeed, markItemsSeen } = require("./rss-fetcher");
+const { fetchFromNewsAPI, fetchFromGNewsAPI } = require("./api-fetchers");
+const { loadQuotaUsage } = require("./api-quota");
+const { fetchNewsSitemap } = require("./sitemap-fetcher");
+const { fetchHTMLList } = require("./html-list-fetcher");
+const { fetchGoogleNewsRSS } = require("./google-news-fetcher");
+const { fetchYouTubeFeed } = require("./youtube-fetcher");
+const { STATIC_SOURCES, loadSources } = require("./source-registry");
+const { shouldSkipSource, recordSourceSuccess, recordSourceFailure } = require("./source-health");
+const { getRegion, getRegionFirstRegions, matchesRegionSource, detectRegion, buildRegionQuery } = require("./regions");
+const { isAllowedByRobots } = require("./politeness");
+const { fetchPage } = require("./page-fetcher");
+const { extractArticleContent, extractArticleImageCandidates, extractArticleVideos } = require("./article-extractor");
+const { extractJsonLd } = require("./jsonld");
+const { syncWebSubSubscriptions, restoreWebSubCallbacks } = require("./websub");
+const { dedupeItems, contentSignature } = require("./dedupe");
+const { canonicalizeUrl, urlVariants, urlKey, sourceHost, resolveCanonicalUrl } = require("./url-canonical");
+const { assignStoryCluster } = require("./story-clusters");
+const { ingestImage } = require("./image-pipeline");
+const { blocksToRewriteSource, parseRewrittenBlocks, blocksToText, truncateBlocks } = require("./article-blocks");
+const { selectArticleImage } = require("./image-quality");
 
 // Centralized CORS configuration (see cors-config.js)
 const { configureCors } = require("./cors-config");
@@ -25,17 +44,40 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Keep the raw bytes of WebSub pushes: the hub signs the body exactly as sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/websub/")) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 /* -------------------- Supabase -------------------- */
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
+// Today's NewsAPI / GNews usage from before a restart (see api-quota.js)
+const quotaUsageLoaded = loadQuotaUsage(supabase);
+
 /* -------------------- COMBINED NEWS SOURCES (LATEST, HINDI FOCUS) -------------------- */
-const NEWS_SOURCES = {
-  ...RSS_SOURCES,
-  ...API_SOURCES
-};
+// Starts with the static sources; refreshed from the source registry at the start of every cycle.
+// Mutated in place so modules holding a reference (main.js, api.js) see the current set.
+const NEWS_SOURCES = { ...STATIC_SOURCES };
+
+async function refreshNewsSources() {
+  const sources = await loadSources(supabase);
+  for (const key of Object.keys(NEWS_SOURCES)) delete NEWS_SOURCES[key];
+  Object.assign(NEWS_SOURCES, sources);
+  // WebSub callbacks follow the registry, so pushes for leases from before a restart are accepted
+  restoreWebSubCallbacks(NEWS_SOURCES);
+  return NEWS_SOURCES;
+}
+
+function isRegionSource(source, regionKey) {
+  const region = getRegion(regionKey);
+  if (region) return matchesRegionSource(source, region);
+  if (source.region) return source.region === regionKey;
+  return (source.name || "").toLowerCase().includes(regionKey);
+}
 
 /* -------------------- Utils -------------------- */
 function makeSlug(text) {
@@ -92,13 +134,9 @@ function getDefaultImage(genre, region) {
     'Other': 'https://images.unsplash.com/photo-1588681664899-f142ff2dc9b1?w=800&auto=format&fit=crop'
   };
 
-  if (region === 'uttarakhand') {
-    const uttarakhandImages = {
-      'Politics': 'https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=800&auto=format&fit=crop',
-      'Environment': 'https://images.unsplash.com/photo-1548013146-72479768bada?w=800&auto=format&fit=crop',
-      'default': 'https://images.unsplash.com/photo-1548013146-72479768bada?w=800&auto=format&fit=crop'
-    };
-    return uttarakhandImages[genre] || uttarakhandImages.default;
+  const regionImages = getRegion(region)?.defaultImages;
+  if (regionImages) {
+    return regionImages[genre] || regionImages.default || defaultImages[genre] || defaultImages['Other'];
   }
 
   return defaultImages[genre] || defaultImages['Other'];
@@ -121,17 +159,7 @@ const GENRE_CANDIDATES = [
 ];
 
 function detectRegionFromText(text, sourceHost = "") {
-  const t = (text || "").toLowerCase();
-  const s = (sourceHost || "").toLowerCase();
-  const uttKeywords = [
-    "uttarakhand", "dehradun", "nainital", "almora", "pithoragarh",
-    "rudraprayag", "chamoli", "pauri", "champawat", "haridwar", "rishikesh",
-    "उत्तराखंड", "देहरादून", "नैनीताल", "हरिद्वार"
-  ];
-  if (uttKeywords.some((k) => t.includes(k) || s.includes(k))) return "uttarakhand";
-  const indiaKeywords = ["india", "delhi", "mumbai", "kolkata", "chennai", "bengaluru", "भारत", "दिल्ली"];
-  if (indiaKeywords.some((k) => t.includes(k) || s.includes(k))) return "india";
-  return "international";
+  return detectRegion(text, sourceHost);
 }
 
 function detectGenreKeyword(text) {
@@ -150,19 +178,16 @@ function detectGenreKeyword(text) {
   return "Other";
 }
 
-/* -------------------- REGION KEYWORDS -------------------- */
-const REGION_KEYWORDS = {
-  uttarakhand: [
-    "uttarakhand", "उत्तराखंड", "dehradun", "देहरादून",
-    "nainital", "नैनीताल", "almora", "अल्मोड़ा",
-    "pithoragarh", "पिथौरागढ़", "rudraprayag", "रुद्रप्रयाग",
-    "chamoli", "चमोली", "pauri", "पौड़ी", "champawat", "चम्पावत",
-    "haridwar", "हरिद्वार", "rishikesh", "ऋषिकेश"
-  ]
-};
-
 /* -------------------- Normalization & Content Enhancement -------------------- */
 function normalizeArticle(apiArticle, sourceConfig) {
+  const baseMeta = {
+    sourceName: sourceConfig.name,
+    isLatest: true,
+    ...(sourceConfig.region ? { regionHint: sourceConfig.region } : {}),
+    // Per-source crawler identity for article scraping (see politeness.js)
+    ...(sourceConfig.config?.userAgent ? { userAgent: sourceConfig.config.userAgent } : {})
+  };
+
   if (sourceConfig.type === "NEWSAPI") {
     return {
       title: apiArticle.title || 'No Title',
@@ -173,8 +198,7 @@ function normalizeArticle(apiArticle, sourceConfig) {
       source: apiArticle.source?.name || sourceConfig.name,
       meta: {
         api: "NEWSAPI",
-        sourceName: sourceConfig.name,
-        isLatest: true
+        ...baseMeta
       }
     };
   } else if (sourceConfig.type === "GNEWS") {
@@ -187,11 +211,10 @@ function normalizeArticle(apiArticle, sourceConfig) {
       source: apiArticle.source?.name || sourceConfig.name,
       meta: {
         api: "GNEWS",
-        sourceName: sourceConfig.name,
-        isLatest: true
+        ...baseMeta
       }
     };
-  } else {
+  } else if (sourceConfig.type === "SITEMAP") {
     return {
       title: apiArticle.title || 'No Title',
       description: apiArticle.description || '',
@@ -200,154 +223,57 @@ function normalizeArticle(apiArticle, sourceConfig) {
       pubDate: apiArticle.pubDate,
       source: apiArticle.source || sourceConfig.name,
       meta: {
-        api: "RSS",
-        sourceName: sourceConfig.name,
-        isLatest: true
+        api: "SITEMAP",
+        ...baseMeta,
+        keywords: apiArticle.keywords || [],
+        language: apiArticle.language || null
       }
     };
-  }
-}
-
-/* -------------------- CONTENT ENHANCEMENT FUNCTIONS -------------------- */
-async function fetchArticleBody(url) {
-  try {
-    const res = await fetch(url, {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-        "Accept-Language": "en-US,en;q=0.5",
-        "Accept-Encoding": "gzip, deflate, br",
-        "Connection": "keep-alive",
-        "Cache-Control": "no-cache",
-        "Pragma": "no-cache"
+  } else if (sourceConfig.type === "GOOGLE_NEWS_RSS") {
+    return {
+      title: apiArticle.title || 'No Title',
+      description: apiArticle.description || '',
+      url: apiArticle.url,
+      image: apiArticle.image,
+      pubDate: apiArticle.pubDate,
+      source: apiArticle.source || sourceConfig.name,
+      meta: {
+        api: "GOOGLE_NEWS_RSS",
+        ...baseMeta,
+        googleNewsUrl: apiArticle.googleUrl || null
       },
-      timeout: 20000
-    });
-
-    if (!res.ok) {
-      console.log(`❌ Failed to fetch ${url}: HTTP ${res.status}`);
-      return null;
-    }
-
-    const html = await res.text();
-    const $ = require("cheerio").load(html);
-
-    $('script, style, nav, footer, header, aside, .sidebar, .advertisement, .ads, .social-share').remove();
-
-    const contentSelectors = [
-      'article',
-      '.article-body',
-      '.story-body',
-      '.story-content',
-      '.entry-content',
-      '.post-content',
-      '.td-post-content',
-      '.news-detail',
-      '.wp-block-post-content',
-      '#content',
-      '.ArticleBody',
-      '.cn__content',
-      '.story-section',
-      '.article-container',
-      'main',
-      '.content-area'
-    ];
-
-    let mainContent = '';
-    let contentElement = null;
-
-    for (const selector of contentSelectors) {
-      const element = $(selector).first();
-      if (element.length) {
-        const text = element.text().trim();
-        const wordCount = text.split(/\s+/).length;
-
-        if (wordCount > 200) {
-          contentElement = element;
-          mainContent = text;
-          break;
-        }
+      feedGuid: apiArticle.feedGuid || null
+    };
+  } else if (sourceConfig.type === "YOUTUBE") {
+    return {
+      title: apiArticle.title || 'No Title',
+      description: apiArticle.description || '',
+      url: apiArticle.url,
+      image: apiArticle.image,
+      pubDate: apiArticle.pubDate,
+      source: apiArticle.source || sourceConfig.name,
+      meta: {
+        api: "YOUTUBE",
+        ...baseMeta,
+        // The video is the story: processNewsItem skips page scraping and leads with it
+        videoFirst: true,
+        videos: apiArticle.video ? [apiArticle.video] : []
       }
-    }
-
-    if (!contentElement || mainContent.length < 1000) {
-      const paragraphs = [];
-      $('p, h2, h3').each((i, elem) => {
-        const text = $(elem).text().trim();
-        if (text.length > 50 &&
-            !text.includes('©') &&
-            !text.includes('Copyright') &&
-            !text.includes('ADVERTISEMENT')) {
-          paragraphs.push(text);
-        }
-      });
-
-      mainContent = paragraphs.join('\n\n');
-    }
-
-    mainContent = mainContent
-      .replace(/\s+/g, ' ')
-      .replace(/\n\s*\n/g, '\n\n')
-      .trim();
-
-    return mainContent.length > 500 ? mainContent : null;
-
-  } catch (e) {
-    console.warn(`❌ Failed to fetch article from ${url}:`, e.message);
-    return null;
-  }
-}
-
-async function extractVideosFromArticle(url) {
-  try {
-    const res = await fetch(url, {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-        "Accept-Language": "en-US,en;q=0.5"
+    };
+  } else {
+    return {
+      title: apiArticle.title || 'No Title',
+      description: apiArticle.description || '',
+      url: apiArticle.url,
+      image: apiArticle.image,
+      pubDate: apiArticle.pubDate,
+      source: apiArticle.source || sourceConfig.name,
+      meta: {
+        api: sourceConfig.type || "RSS",
+        ...baseMeta
       },
-      timeout: 15000
-    });
-
-    if (!res.ok) return null;
-
-    const html = await res.text();
-    const $ = require("cheerio").load(html);
-
-    const videos = [];
-
-    $('blockquote.twitter-tweet').each((i, elem) => {
-      const tweetLink = $(elem).find('a').attr('href');
-      if (tweetLink && tweetLink.includes('twitter.com')) {
-        const tweetIdMatch = tweetLink.match(/status\/(\d+)/);
-        if (tweetIdMatch) {
-          const tweetId = tweetIdMatch[1];
-          videos.push({
-            type: 'twitter',
-            id: tweetId,
-            embed_url: `https://twitter.com/i/status/${tweetId}`,
-            embed_code: `<blockquote class="twitter-tweet"><a href="https://twitter.com/i/status/${tweetId}">Tweet</a></blockquote><script async src="https://platform.twitter.com/widgets.js" charset="utf-8"></script>`
-          });
-        }
-      }
-    });
-
-    $('iframe[src*="youtube.com"], iframe[src*="youtu.be"]').each((i, elem) => {
-      const src = $(elem).attr('src');
-      if (src) {
-        videos.push({
-          type: 'youtube',
-          url: src,
-          embed_code: `<iframe src="${src}" frameborder="0" allowfullscreen></iframe>`
-        });
-      }
-    });
-
-    return videos.length > 0 ? videos : null;
-
-  } catch (error) {
-    console.warn(`❌ Failed to extract videos from ${url}:`, error.message);
-    return null;
+      feedGuid: apiArticle.feedGuid || null
+    };
   }
 }
 
@@ -463,8 +389,8 @@ function aggressiveCleanArticle(text) {
   // 4. Remove leftover JSON-like or spammy blocks
   cleaned = cleaned.replace(/\{(?:[^{}]|"(?:\\.|[^"\\])*")*\}/g, ' ');
 
-  // 5. Trim and collapse whitespace
-  cleaned = cleaned.replace(/\s{2,}/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  // 5. Trim and collapse whitespace (paragraph breaks are kept)
+  cleaned = cleaned.replace(/[^\S\n]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
 
   return cleaned;
 }
@@ -493,7 +419,7 @@ function parseAIResponseStrict(aiOutput) {
   }
 
   // Fallback: treat whole output as content; derive headline from first line or first sentence
-  const cleaned = String(raw).replace(/\s{2,}/g, ' ').trim();
+  const cleaned = String(raw).replace(/[^\S\n]{2,}/g, ' ').trim();
   const lines = cleaned.split('\n').map(l => l.trim()).filter(Boolean);
   let title = '';
   let content = cleaned;
@@ -558,6 +484,9 @@ function isMostlyDevanagari(text, threshold = 0.30) {
 
 /* -------------------- LLM wrappers: require JSON; rewrite WHOLE cleaned content into Hindi -------------------- */
 
+// Source text uses the block markup of article-blocks.js; the rewrite must keep it so ai_blocks can be rebuilt
+const BLOCK_FORMAT_RULES = `Keep the structure of the source in "content": one paragraph per source paragraph, separated by a blank line (\\n\\n). Keep the line prefixes "## " (heading), "> " (quote) and "- " (list item). Copy placeholders such as [[MEDIA 0]] unchanged, each on its own line at the same position.`;
+
 async function rewriteWithOpenRouter(title, content) {
   if (!process.env.OPENROUTER_API_KEY) {
     throw new Error("OpenRouter API key not configured");
@@ -567,6 +496,7 @@ async function rewriteWithOpenRouter(title, content) {
 The JSON MUST contain exactly two keys: "title" and "content".
 - "title": a concise Hindi headline in Devanagari (8-120 chars).
 - "content": the full article in Hindi (Devanagari). Rewrite the ENTIRE provided source content faithfully in Hindi, preserving facts, names, places, numbers and structure. Do NOT add speculation, generic investigation boilerplate, "यह समाचार", social-share tokens, source names, or calls-to-action.
+${BLOCK_FORMAT_RULES}
 Return only the JSON object (no explanation, no markdown, no code fences). If you cannot produce JSON, return only the Hindi article text (no extra commentary).`;
 
   const userMsg = `SOURCE CONTENT (cleaned):\n\n${content}\n\n---\nRewrite the ENTIRE above content into a clear, factual Hindi news article in Devanagari. Produce JSON { "title": "...", "content": "..." } OR only the Hindi article text if JSON is impossible.`;
@@ -630,7 +560,8 @@ async function rewriteWithGroq(title, content) {
 
   const systemMsg = `You are an expert Hindi journalist. RETURN ONLY valid JSON as the single output.
 The JSON MUST contain exactly two keys: "title" and "content".
-Rewrite the ENTIRE provided source content into Hindi (Devanagari), preserving facts and numbers. Do NOT include social-share text, source footers, or speculative boilerplate.`;
+Rewrite the ENTIRE provided source content into Hindi (Devanagari), preserving facts and numbers. Do NOT include social-share text, source footers, or speculative boilerplate.
+${BLOCK_FORMAT_RULES}`;
 
   const userMsg = `CLEANED SOURCE:\n\n${content}\n\nPlease rewrite the whole content above into a Hindi news article and return JSON { "title": "...", "content": "..." } or only the article text if JSON cannot be produced.`;
 
@@ -685,9 +616,26 @@ Rewrite the ENTIRE provided source content into Hindi (Devanagari), preserving f
 }
 
 /* -------------------- Parallel runner: send full cleaned content and validate result -------------------- */
-async function rewriteWithParallelAI(title, sourceContent, hasVideos = false) {
-  // 1) Aggressively clean the source content (remove links & noise but preserve facts)
-  const cleanedContent = aggressiveCleanArticle(sourceContent || title || '');
+// Untouched source (no provider / all failed): cleaned blocks, cut to maxWords
+function fallbackRewrite(title, cleanedContent, media, maxWords) {
+  let blocks = truncateBlocks(parseRewrittenBlocks(cleanedContent, media), maxWords);
+  const final = finalizeArticleStrict(title || '', blocksToText(blocks));
+  if (blocks.length === 0) blocks = parseRewrittenBlocks(final.content);
+  return { success: true, title: final.title || title, content: final.content, blocks, provider: 'fallback', wordCount: final.wordCount };
+}
+
+/**
+ * Rewrite an article into Hindi. sourceBlocks (article-blocks.js) keep paragraphs, headings,
+ * quotes, lists and media positions through the rewrite; without them the text's own
+ * paragraph breaks are used.
+ * Resolves to { success, title, content, blocks, provider, wordCount }.
+ */
+async function rewriteWithParallelAI(title, sourceContent, hasVideos = false, sourceBlocks = null) {
+  // 1) Aggressively clean the source content (remove links & noise but preserve facts), block by block when we have them
+  const source = sourceBlocks && sourceBlocks.length
+    ? blocksToRewriteSource(sourceBlocks, aggressiveCleanArticle)
+    : { text: aggressiveCleanArticle(sourceContent || title || ''), media: [] };
+  const cleanedContent = source.text;
 
   // Providers list
   const providers = [];
@@ -700,9 +648,7 @@ async function rewriteWithParallelAI(title, sourceContent, hasVideos = false) {
 
   // If no provider configured, return cleaned excerpt as fallback (short)
   if (providers.length === 0) {
-    const fallbackText = cleanedContent.split(/\s+/).slice(0, 300).join(' ');
-    const final = finalizeArticleStrict(title || '', fallbackText);
-    return { success: true, title: final.title, content: final.content, provider: 'fallback', wordCount: final.wordCount };
+    return fallbackRewrite(title, cleanedContent, source.media, 300);
   }
 
   // Call providers concurrently and inspect results
@@ -712,8 +658,8 @@ async function rewriteWithParallelAI(title, sourceContent, hasVideos = false) {
       .catch(err => ({ ok: false, provider: p.name, error: err && err.message ? err.message : String(err) }))
   ));
 
-  // Evaluate their outputs in order; prefer first valid
-  for (const a of attempts) {
+  // Evaluate their outputs in order; prefer first valid (each attempt settles fulfilled with { ok, provider, ... })
+  for (const a of attempts.map(settled => settled.value)) {
     if (!a || !a.ok) {
       console.warn(`AI provider ${a.provider} failed: ${a.error || 'unknown'}`);
       continue;
@@ -728,8 +674,9 @@ async function rewriteWithParallelAI(title, sourceContent, hasVideos = false) {
         continue;
       }
 
-      // Finalize - keep entire content as the model returned
-      let final = finalizeArticleStrict(parsed.title, parsed.content);
+      // Finalize - keep entire content as the model returned; block markup becomes ai_blocks
+      const blocks = parseRewrittenBlocks(parsed.content, source.media);
+      let final = finalizeArticleStrict(parsed.title, blocksToText(blocks));
 
       // Minimal length requirement - we expect full rewrite so enforce >= 100 words
       if (final.wordCount < 100) {
@@ -753,6 +700,7 @@ async function rewriteWithParallelAI(title, sourceContent, hasVideos = false) {
         success: true,
         title: final.title || title,
         content: final.content,
+        blocks,
         provider: a.provider,
         wordCount: final.wordCount
       };
@@ -764,117 +712,71 @@ async function rewriteWithParallelAI(title, sourceContent, hasVideos = false) {
   }
 
   // All providers failed -> fallback: return cleaned content truncated to reasonable size (no boilerplate)
-  const fallback = aggressiveCleanArticle(sourceContent || title || '');
-  const truncated = fallback.split(/\s+/).slice(0, 350).join(' ');
-  const final = finalizeArticleStrict(title || '', truncated);
-  return {
-    success: true,
-    title: final.title || title,
-    content: final.content,
-    provider: 'fallback',
-    wordCount: final.wordCount
-  };
+  return fallbackRewrite(title, cleanedContent, source.media, 350);
 }
 
-/* -------------------- Fetch Article Image -------------------- */
-async function fetchArticleImage(url) {
-  try {
-    const response = await fetch(url, {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-        "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-        "Accept-Language": "en-US,en;q=0.5"
-      },
-      timeout: 10000
-    });
-
-    if (!response.ok) return null;
-
-    const html = await response.text();
-    const $ = require("cheerio").load(html);
-
-    const imageSelectors = [
-      'meta[property="og:image"]',
-      'meta[name="twitter:image"]',
-      '.article-img img',
-      '.story-img img',
-      '.featured-image img',
-      '.wp-post-image'
-    ];
-
-    let imageUrl = null;
-
-    for (const selector of imageSelectors.slice(0, 2)) {
-      const meta = $(selector);
-      if (meta.length) {
-        const content = meta.attr('content');
-        if (content && content.startsWith('http')) {
-          imageUrl = content;
-          break;
-        }
-      }
-    }
-
-    if (!imageUrl) {
-      for (const selector of imageSelectors.slice(2)) {
-        const img = $(selector).first();
-        if (img.length) {
-          const src = img.attr('src') || img.attr('data-src');
-          if (src && src.startsWith('http')) {
-            imageUrl = src;
-            break;
-          }
-        }
-      }
-    }
-
-    if (imageUrl && !imageUrl.startsWith('http')) {
-      try {
-        const urlObj = new URL(url);
-        imageUrl = new URL(imageUrl, urlObj.origin).href;
-      } catch (e) {
-        imageUrl = null;
-      }
-    }
-
-    return imageUrl;
-
-  } catch (error) {
-    console.warn(`❌ Failed to fetch image from ${url}:`, error.message);
-    return null;
-  }
-}
-
-/* -------------------- Fetch Region-First Items (Uttarakhand) -------------------- */
+/* -------------------- Fetch Region-First Items (configured regions, see regions.js) -------------------- */
 async function fetchRegionFirst(regionKey, maxItems = 20) {
-  const keywords = REGION_KEYWORDS[regionKey] || [regionKey];
-  const q = keywords.join(" OR ");
+  const region = getRegion(regionKey) || { key: regionKey, name: regionKey, keywords: [regionKey] };
+  const gnewsConfig = region.gnews || {};
+  const newsapiConfig = region.newsapi || {};
+  const googleNewsConfig = region.googleNews || {};
 
   const regionItems = [];
+  const regionMeta = { region_priority: true, regionHint: region.key };
 
-  // 1) Prefer obvious RSS sources for Uttarakhand
+  // 1) Prefer RSS sources tagged (or named) for the region
   for (const [key, cfg] of Object.entries(NEWS_SOURCES)) {
     try {
-      if (cfg.type === "RSS" && (cfg.name || "").toLowerCase().includes("uttarakhand")) {
-        const items = await fetchRSSFeed(cfg.config.url, cfg.config.maxItems || maxItems);
+      if (cfg.type === "RSS" && isRegionSource(cfg, regionKey)) {
+        if (shouldSkipSource(key)) {
+          console.log(`   🔌 Skipping (circuit open): ${cfg.name}`);
+          continue;
+        }
+        const items = await fetchRSSFeed(cfg.config.url, cfg.config.maxItems || maxItems, { throwOnError: true });
+        recordSourceSuccess(key, cfg.name, items.length);
         const normalized = items.map(it => {
-          const n = normalizeArticle(it, { type: "RSS", name: cfg.name });
-          n.meta = { ...(n.meta || {}), region_priority: true, sourceName: cfg.name };
+          const n = normalizeArticle(it, { type: "RSS", name: cfg.name, region: cfg.region, config: cfg.config });
+          n.meta = { ...(n.meta || {}), ...regionMeta, sourceName: cfg.name };
           return n;
         });
         regionItems.push(...normalized);
       }
     } catch (e) {
+      recordSourceFailure(key, cfg.name, e);
       console.warn(`Region RSS fetch failed (${cfg.name}):`, e.message);
     }
   }
 
-  // 2) Try GNews focused query for region (Hindi)
+  // 2) Google News RSS search for region keywords (no API key or quota)
   try {
-    const gnewsItems = await fetchFromGNewsAPI({ q, lang: "hi", country: "in", max: maxItems, sortby: "publishedAt" });
+    const googleItems = await fetchGoogleNewsRSS({
+      ...googleNewsConfig,
+      q: buildRegionQuery(region, "googleNews"),
+      maxItems
+    });
+    const normalized = googleItems.map(it => {
+      const n = normalizeArticle(it, { type: "GOOGLE_NEWS_RSS", name: "Google News (region)" });
+      n.meta = { ...(n.meta || {}), ...regionMeta, sourceName: n.source || "Google News (region)" };
+      return n;
+    });
+    regionItems.push(...normalized);
+  } catch (e) {
+    console.warn("Region Google News fetch failed:", e.message);
+  }
+
+  // 3) Try GNews focused query for region (Hindi)
+  try {
+    const gnewsItems = await fetchFromGNewsAPI({
+      q: buildRegionQuery(region, "gnews"),
+      lang: gnewsConfig.lang || "hi",
+      country: gnewsConfig.country || "in",
+      max: maxItems,
+      sortby: "publishedAt"
+    }, { purpose: "region" });
     const normalized = gnewsItems.map(it => {
       const n = normalizeArticle(it, { type: "GNEWS", name: "GNews (region)" });
-      n.meta = { ...(n.meta || {}), region_priority: true, sourceName: n.source || "GNews (region)" };
+      n.meta = { ...(n.meta || {}), ...regionMeta, sourceName: n.source || "GNews (region)" };
       return n;
     });
     regionItems.push(...normalized);
@@ -882,12 +784,17 @@ async function fetchRegionFirst(regionKey, maxItems = 20) {
     console.warn("Region GNews fetch failed:", e.message);
   }
 
-  // 3) Try NewsAPI for region keywords (fallback)
+  // 4) Try NewsAPI for region keywords (fallback)
   try {
-    const newsapiItems = await fetchFromNewsAPI({ q, language: "hi", pageSize: maxItems, sortBy: "publishedAt" });
+    const newsapiItems = await fetchFromNewsAPI({
+      q: buildRegionQuery(region, "newsapi"),
+      language: newsapiConfig.language || "hi",
+      pageSize: maxItems,
+      sortBy: "publishedAt"
+    }, { purpose: "region" });
     const normalized = newsapiItems.map(it => {
       const n = normalizeArticle(it, { type: "NEWSAPI", name: "NewsAPI (region)" });
-      n.meta = { ...(n.meta || {}), region_priority: true, sourceName: n.source || "NewsAPI (region)" };
+      n.meta = { ...(n.meta || {}), ...regionMeta, sourceName: n.source || "NewsAPI (region)" };
       return n;
     });
     regionItems.push(...normalized);
@@ -913,50 +820,110 @@ async function fetchRegionFirst(regionKey, maxItems = 20) {
 }
 
 /* -------------------- Process Single News Item -------------------- */
-async function processNewsItem(item, sourceType = "api") {
+// Matches any stored spelling of the URL (http/https, www/m., trailing slash, pre-canonical original)
+async function findExistingArticle(url, originalUrl) {
+  const { data: existing } = await supabase
+    .from("ai_news")
+    .select("id, slug, title")
+    .in("source_url", urlVariants(url, [originalUrl]))
+    .limit(1)
+    .maybeSingle();
+  return existing || null;
+}
+
+// Static canonical URL for an incoming item; the feed's spelling is kept in meta.originalUrl
+function applyCanonicalUrl(item) {
+  const canonical = canonicalizeUrl(item.url);
+  if (canonical && canonical !== item.url) {
+    item.meta = { ...(item.meta || {}), originalUrl: item.meta?.originalUrl || item.url };
+    item.url = canonical;
+  }
+  return item;
+}
+
+/**
+ * Full pipeline for one item: duplicate check -> scrape -> AI rewrite -> insert.
+ * Returns { status: "created" | "skipped" | "failed", reason, record, existing }.
+ * overrides: { region, genre } force the stored region / genre instead of detection.
+ */
+async function processNewsItemDetailed(item, sourceType = "api", overrides = {}) {
   try {
-    const { data: existing } = await supabase
-      .from("ai_news")
-      .select("id")
-      .eq("source_url", item.url)
-      .limit(1)
-      .maybeSingle();
+    applyCanonicalUrl(item);
+    const originalUrl = item.meta?.originalUrl || item.url;
+    let existing = await findExistingArticle(item.url, originalUrl);
 
     if (existing) {
       console.log(`⏭️ Skipping existing: ${item.title.substring(0, 50)}...`);
-      return null;
+      return { status: "skipped", reason: "duplicate", record: null, existing };
     }
 
     console.log(`🔄 Processing: ${item.title.substring(0, 50)}...`);
 
     let articleContent = item.description || "";
-    let articleImage = item.image || null;
+    let scrapedContent = null;
+    let scrapedBlocks = null;
+    // Preference order; image-quality.js rejects logos / placeholders and falls through
+    let imageCandidates = [];
+    let jsonLd = null;
     let videos = [];
-
-    if (item.url && sourceType !== "static") {
-      try {
-        const [fetchedContent, fetchedImage, fetchedVideos] = await Promise.allSettled([
-          fetchArticleBody(item.url),
-          fetchArticleImage(item.url),
-          extractVideosFromArticle(item.url)
-        ]);
-
-        if (fetchedContent.status === 'fulfilled' && fetchedContent.value && fetchedContent.value.length > 300) {
-          articleContent = fetchedContent.value;
-          console.log(`   📝 Fetched ${articleContent.length} chars of content`);
+    const videoFirst = !!item.meta?.videoFirst;
+
+    if (videoFirst) {
+      // Video sources: the feed already carries title, description and the embed
+      videos = item.meta.videos || [];
+      console.log(`   🎥 Video-first item (${videos.length} primary video)`);
+    } else if (item.url && sourceType !== "static") {
+      const scrapeOptions = { userAgent: item.meta?.userAgent };
+
+      if (!(await isAllowedByRobots(item.url, scrapeOptions.userAgent))) {
+        console.log(`   🤖 robots.txt disallows ${item.url} — using feed description`);
+      } else {
+        // Redirects and rel=canonical can reveal a URL we already stored
+        const canonical = await resolveCanonicalUrl(item.url, scrapeOptions);
+        if (canonical.url && canonical.url !== item.url) {
+          console.log(`   🔗 Canonical URL (${canonical.resolvedFrom}): ${canonical.url}`);
+          item.url = canonical.url;
+
+          existing = await findExistingArticle(item.url, originalUrl);
+          if (existing) {
+            console.log(`⏭️ Skipping existing (canonical): ${item.title.substring(0, 50)}...`);
+            return { status: "skipped", reason: "duplicate", record: null, existing };
+          }
         }
 
-        if (fetchedImage.status === 'fulfilled' && fetchedImage.value) {
-          articleImage = fetchedImage.value;
-        }
+        try {
+          // One download and one parse shared by all extractors (usually cached by the canonical lookup)
+          const page = await fetchPage(item.url, scrapeOptions);
+
+          if (!page.ok) {
+            console.log(`❌ Failed to fetch ${item.url}: HTTP ${page.status}`);
+          } else {
+            const fetched = extractArticleContent(page.$, page.url);
+            if (fetched && fetched.text.length > 300) {
+              articleContent = fetched.text;
+              scrapedContent = fetched.text;
+              scrapedBlocks = fetched.blocks;
+              console.log(`   📝 Fetched ${articleContent.length} chars of content (${scrapedBlocks.length} blocks)`);
+            }
+
+            // NewsArticle JSON-LD is preferred for dates, image, section and author
+            jsonLd = extractJsonLd(page.$, page.url);
+
+            imageCandidates = [
+              ...(jsonLd && jsonLd.image ? [{ url: jsonLd.image, source: 'jsonld' }] : []),
+              ...extractArticleImageCandidates(page.$, page.url).map(c => ({ ...c, source: 'scraped' }))
+            ];
+
+            const fetchedVideos = extractArticleVideos(page.$, page.url);
+            if (fetchedVideos) {
+              videos = fetchedVideos;
+              console.log(`   🎥 Found ${videos.length} video(s)`);
+            }
+          }
 
-        if (fetchedVideos.status === 'fulfilled' && fetchedVideos.value) {
-          videos = fetchedVideos.value;
-          console.log(`   🎥 Found ${videos.length} video(s)`);
+        } catch (e) {
+          console.warn(`❌ Failed to fetch content/image/videos:`, e.message);
         }
-
-      } catch (e) {
-        console.warn(`❌ Failed to fetch content/image/videos:`, e.message);
       }
     }
 
@@ -964,32 +931,52 @@ async function processNewsItem(item, sourceType = "api") {
       articleContent = item.title + ". " + (item.description || "");
     }
 
-    // Rewrite to Hindi (aggressively cleaned + whole-article rewrite)
-    const aiResult = await rewriteWithParallelAI(item.title, articleContent, videos.length > 0);
+    // Rewrite to Hindi (aggressively cleaned + whole-article rewrite, block structure kept)
+    const aiResult = await rewriteWithParallelAI(item.title, articleContent, videos.length > 0, scrapedBlocks);
 
     if (!aiResult.success) {
       console.log(`❌ AI rewrite failed`);
-      return null;
+      return { status: "failed", reason: "ai_rewrite_failed", record: null };
     }
 
     const slug = makeSlug(aiResult.title);
     const fullText = aiResult.title + " " + aiResult.content;
-    const genre = detectGenreKeyword(fullText);
-    const sourceHost = item.url ? (() => { try { return new URL(item.url).hostname } catch(e){ return "" } })() : "";
-    const region = detectRegionFromText(fullText, sourceHost);
+    const genre = overrides.genre || jsonLd?.genre_hint || detectGenreKeyword(fullText);
+    const urlHost = item.url ? (() => { try { return new URL(item.url).hostname } catch(e){ return "" } })() : "";
+    let region = overrides.region || detectRegionFromText(fullText, urlHost);
+    // Region-tagged sources win over the generic "international" fallback
+    if (region === "international" && item.meta?.regionHint) {
+      region = item.meta.regionHint;
+    }
+
+    const backfillJob = item.meta?.backfill || null;
 
     const recordMeta = {
       original_title: item.title,
+      original_url: originalUrl || null,
+      // Publisher host for per-domain lookups (image repetition, see image-quality.js)
+      source_host: sourceHost(item.url),
       source: item.source || sourceType,
       ai_provider: aiResult.provider,
       word_count: aiResult.wordCount,
-      image_source: articleImage ? 'scraped' : 'default',
       api_source: item.meta?.api || item.meta?.api_source || "unknown",
       source_name: item.meta?.sourceName || item.source || "unknown",
       has_videos: videos.length > 0,
       videos: videos.length > 0 ? videos : null,
-      is_latest: true,
-      region_priority: !!item.meta?.region_priority
+      video_first: videoFirst,
+      is_latest: !backfillJob,
+      region_priority: !!item.meta?.region_priority,
+      ...(item.meta?.ingestedBy ? { ingested_by: item.meta.ingestedBy } : {}),
+      ...(backfillJob ? { backfill: true, backfill_job: backfillJob } : {}),
+      ...(item.meta?.fingerprint ? { fingerprint: item.meta.fingerprint } : {}),
+      ...(jsonLd ? {
+        jsonld: jsonLd,
+        original_author: jsonLd.authors.length ? jsonLd.authors.join(", ") : null,
+        ...(jsonLd.date_modified ? { source_modified_at: jsonLd.date_modified } : {})
+      } : {}),
+      // Baseline for source-updates.js rechecks
+      ...(scrapedContent ? { source_signature: contentSignature(scrapedContent), source_checked_at: new Date().toISOString() } : {}),
+      ...(item.meta?.additionalSources?.length ? { additional_sources: item.meta.additionalSources } : {})
     };
 
     const record = {
@@ -997,19 +984,57 @@ async function processNewsItem(item, sourceType = "api") {
       slug: slug,
       source_url: item.url || "",
       ai_content: aiResult.content,
+      // Column ai_blocks (jsonb): ordered blocks for frontends, see article-blocks.js
+      ai_blocks: aiResult.blocks,
       short_desc: aiResult.content.substring(0, 250) + "...",
-      image_url: articleImage || getDefaultImage(genre, region),
-      published_at: item.pubDate ? new Date(item.pubDate).toISOString() : new Date().toISOString(),
+      image_url: null,
+      published_at: jsonLd?.date_published || (item.pubDate ? new Date(item.pubDate).toISOString() : new Date().toISOString()),
       region: region,
       genre: genre,
       meta: recordMeta
     };
 
-    const { error } = await supabase.from("ai_news").insert(record);
+    // Re-host the first acceptable image; the publisher / default URL stays in meta for attribution
+    if (item.image) imageCandidates.push({ url: item.image, source: 'scraped' });
+    const imageChoice = await selectArticleImage(supabase, imageCandidates, {
+      pageUrl: item.url,
+      userAgent: item.meta?.userAgent
+    });
+
+    let storedImage = imageChoice.stored;
+    record.image_url = imageChoice.url;
+    recordMeta.image_source = imageChoice.source || 'default';
+    if (!record.image_url) {
+      const defaultImage = getDefaultImage(genre, region);
+      storedImage = await ingestImage(supabase, defaultImage);
+      record.image_url = storedImage ? storedImage.url : defaultImage;
+    }
+
+    if (storedImage) {
+      recordMeta.image = storedImage;
+    } else if (record.image_url) {
+      recordMeta.image = { original_url: record.image_url };
+    }
+    if (imageChoice.rejected.length > 0) {
+      recordMeta.image_rejected = imageChoice.rejected;
+    }
+
+    // Backfilled articles sort by their real date, not by when the job ran
+    if (backfillJob) {
+      record.created_at = record.published_at;
+    }
+
+    record.cluster_id = await assignStoryCluster(supabase, record);
+
+    const { data: inserted, error } = await supabase
+      .from("ai_news")
+      .insert(record)
+      .select()
+      .single();
 
     if (error) {
       console.error(`❌ Database error:`, error.message);
-      return null;
+      return { status: "failed", reason: "database_error", message: error.message, record: null };
     }
 
     console.log(`✅ Added: ${aiResult.title.substring(0, 50)}...`);
@@ -1018,14 +1043,108 @@ async function processNewsItem(item, sourceType = "api") {
     console.log(`   🎥 Videos: ${videos.length}`);
     console.log(`   📅 Published: ${new Date(record.published_at).toLocaleTimeString('hi-IN')}`);
 
-    return record;
+    return { status: "created", reason: null, record: inserted || record };
 
   } catch (error) {
     console.error(`❌ Error processing item:`, error.message);
-    return null;
+    return { status: "failed", reason: "processing_error", message: error.message, record: null };
   }
 }
 
+async function processNewsItem(item, sourceType = "api") {
+  const result = await processNewsItemDetailed(item, sourceType);
+
+  // Feed GUIDs are only remembered once the story is stored; failed items come back next cycle
+  if (result.status === "created" || result.reason === "duplicate") {
+    markItemsSeen([item, ...(item.mergedItems || [])]);
+  }
+
+  return result.record;
+}
+
+/* -------------------- Ingest a Single URL (admin) -------------------- */
+const INGEST_REGIONS = ["india", "international"];
+
+// Cached, so the pipeline run that follows reuses this download
+async function fetchPageSeed(url) {
+  const page = await fetchPage(url, { timeout: 15000 });
+
+  if (!page.ok) throw new Error(`HTTP ${page.status}`);
+
+  const $ = page.$;
+  const meta = (name) => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr("content") || null;
+  const jsonLd = extractJsonLd($, page.url) || {};
+
+  return {
+    title: (jsonLd.headline || meta("og:title") || meta("twitter:title") || $("title").first().text() || "").trim(),
+    description: (meta("og:description") || meta("description") || "").trim(),
+    image: jsonLd.image || meta("og:image") || meta("twitter:image"),
+    pubDate: jsonLd.date_published || meta("article:published_time") || null,
+    siteName: jsonLd.publisher || meta("og:site_name")
+  };
+}
+
+/**
+ * Run the full pipeline for an editor-supplied URL.
+ * options: { region, genre, requestedBy }. Resolves to the processNewsItemDetailed result,
+ * or { status: "invalid" | "skipped", reason, message } when the URL cannot be used.
+ */
+async function ingestUrl(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || "").trim());
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error("unsupported protocol");
+  } catch (e) {
+    return { status: "invalid", reason: "invalid_url", message: "A valid http(s) URL is required" };
+  }
+
+  const { region, genre, requestedBy } = options;
+  if (region && !getRegion(region) && !INGEST_REGIONS.includes(region)) {
+    return { status: "invalid", reason: "invalid_region", message: `Unknown region "${region}"` };
+  }
+  if (genre && !GENRE_CANDIDATES.includes(genre)) {
+    return { status: "invalid", reason: "invalid_genre", message: `genre must be one of ${GENRE_CANDIDATES.join(", ")}` };
+  }
+
+  // Already stored: answer without scraping the page
+  const existing = await findExistingArticle(canonicalizeUrl(parsed.href), parsed.href);
+  if (existing) {
+    console.log(`⏭️ Admin ingest skipped, already stored: ${parsed.href}`);
+    return { status: "skipped", reason: "duplicate", record: null, existing };
+  }
+
+  let seed;
+  try {
+    seed = await fetchPageSeed(parsed.href);
+  } catch (e) {
+    const reason = e.code === "ROBOTS_DISALLOWED" ? "robots_disallowed" : "fetch_failed";
+    return { status: "skipped", reason, message: e.message };
+  }
+
+  if (!seed.title) {
+    return { status: "skipped", reason: "no_title", message: "Could not find a title on the page" };
+  }
+
+  const item = {
+    title: seed.title,
+    description: seed.description,
+    url: parsed.href,
+    image: seed.image,
+    pubDate: seed.pubDate,
+    source: seed.siteName || parsed.hostname,
+    meta: {
+      api: "ADMIN_INGEST",
+      sourceName: seed.siteName || parsed.hostname,
+      isLatest: true,
+      ...(region ? { regionHint: region } : {}),
+      ...(requestedBy ? { ingestedBy: requestedBy } : {})
+    }
+  };
+
+  console.log(`📥 Admin ingest: ${parsed.href}`);
+  return enqueueTask(() => processNewsItemDetailed(item, "admin", { region, genre }));
+}
+
 /* -------------------- MAIN PROCESSING FUNCTION -------------------- */
 const PROCESS_COUNT = Number(process.env.ITEMS_TO_PROCESS) || 18;
 
@@ -1039,6 +1158,8 @@ async function processAllNews() {
   const allItems = [];
   const sourceStats = {};
 
+  await refreshNewsSources();
+
   const sourcesByPriority = Object.entries(NEWS_SOURCES)
     .map(([key, config]) => ({ key, ...config }))
     .sort((a, b) => a.priority - b.priority);
@@ -1047,32 +1168,43 @@ async function processAllNews() {
 
   let newestArticleTime = new Date(0);
 
-  // ---- REGION-FIRST: UTTARAKHAND ----
-  try {
-    console.log("🔎 Fetching region-priority (uttarakhand) items first...");
-    const regionItems = await fetchRegionFirst("uttarakhand", 20);
-    if (regionItems.length > 0) {
-      allItems.push(...regionItems.map(it => {
-        it.meta = { ...(it.meta || {}), region_priority: true, sourceName: it.meta?.sourceName || it.source || "region" };
-        return it;
-      }));
-      sourceStats['Uttarakhand (region)'] = regionItems.length;
-    } else {
-      sourceStats['Uttarakhand (region)'] = 0;
+  // ---- REGION-FIRST: CONFIGURED REGIONS (REGION_FIRST env, default uttarakhand) ----
+  const regionFirst = getRegionFirstRegions();
+
+  for (const region of regionFirst) {
+    const statsKey = `${region.name} (region)`;
+    try {
+      console.log(`🔎 Fetching region-priority (${region.key}) items first...`);
+      const regionItems = await fetchRegionFirst(region.key, 20);
+      if (regionItems.length > 0) {
+        allItems.push(...regionItems.map(it => {
+          it.meta = { ...(it.meta || {}), region_priority: true, sourceName: it.meta?.sourceName || it.source || "region" };
+          return it;
+        }));
+        sourceStats[statsKey] = regionItems.length;
+      } else {
+        sourceStats[statsKey] = 0;
+      }
+      await sleep(500);
+    } catch (e) {
+      console.warn(`   ❌ Region-first fetch failed (${region.key}):`, e.message);
+      sourceStats[statsKey] = 0;
     }
-    await sleep(500);
-  } catch (e) {
-    console.warn("   ❌ Region-first fetch failed:", e.message);
-    sourceStats['Uttarakhand (region)'] = 0;
   }
 
   // ---- THEN PROCESS REMAINING SOURCES BY PRIORITY ----
   for (const source of sourcesByPriority) {
-    if ((source.name || "").toLowerCase().includes("uttarakhand")) {
+    if (source.type === "RSS" && regionFirst.some(region => isRegionSource(source, region.key))) {
       console.log(`   ⏭️ Skipping (already covered by region-first): ${source.name}`);
       continue;
     }
 
+    if (shouldSkipSource(source.key)) {
+      console.log(`   🔌 Skipping (circuit open): ${source.name}`);
+      sourceStats[source.name] = 0;
+      continue;
+    }
+
     try {
       console.log(`🔍 [Priority ${source.priority}] Fetching LATEST ${source.name}...`);
 
@@ -1080,16 +1212,30 @@ async function processAllNews() {
 
       switch (source.type) {
         case "NEWSAPI":
-          rawArticles = await fetchFromNewsAPI(source.config);
+          rawArticles = await fetchFromNewsAPI(source.config, { throwOnError: true });
           break;
         case "GNEWS":
-          rawArticles = await fetchFromGNewsAPI(source.config);
+          rawArticles = await fetchFromGNewsAPI(source.config, { throwOnError: true });
           break;
         case "RSS":
-          rawArticles = await fetchRSSFeed(source.config.url, source.config.maxItems);
+          rawArticles = await fetchRSSFeed(source.config.url, source.config.maxItems, { throwOnError: true });
+          break;
+        case "SITEMAP":
+          rawArticles = await fetchNewsSitemap(source.config.url, source.config.maxItems, { throwOnError: true });
+          break;
+        case "HTML_LIST":
+          rawArticles = await fetchHTMLList({ ...source.config, sourceName: source.name }, { throwOnError: true });
+          break;
+        case "GOOGLE_NEWS_RSS":
+          rawArticles = await fetchGoogleNewsRSS({ ...source.config, sourceName: source.name }, { throwOnError: true });
+          break;
+        case "YOUTUBE":
+          rawArticles = await fetchYouTubeFeed({ ...source.config, sourceName: source.name }, { throwOnError: true });
           break;
       }
 
+      recordSourceSuccess(source.key, source.name, rawArticles.length);
+
       rawArticles.sort((a, b) => {
         const dateA = new Date(a.publishedAt || a.pubDate || 0);
         const dateB = new Date(b.publishedAt || b.pubDate || 0);
@@ -1116,6 +1262,7 @@ async function processAllNews() {
 
     } catch (error) {
       console.log(`   ❌ Failed to fetch ${source.name}:`, error.message);
+      recordSourceFailure(source.key, source.name, error);
       sourceStats[source.name] = 0;
     }
   }
@@ -1136,15 +1283,22 @@ async function processAllNews() {
   const seenUrls = new Set();
 
   for (const item of allItems) {
-    if (item.url && !seenUrls.has(item.url)) {
-      seenUrls.add(item.url);
+    if (!item.url) continue;
+    applyCanonicalUrl(item);
+    const key = urlKey(item.url);
+    if (!seenUrls.has(key)) {
+      seenUrls.add(key);
       uniqueItems.push(item);
     }
   }
 
   console.log(`📊 UNIQUE LATEST ITEMS: ${uniqueItems.length}`);
 
-  const sortedItems = uniqueItems.sort((a, b) => {
+  // Same story from several outlets: keep one, drop or attach the rest (see dedupe.js)
+  const distinctItems = await dedupeItems(uniqueItems, supabase);
+  markItemsSeen(uniqueItems.filter(item => item.publishedDuplicate));
+
+  const sortedItems = distinctItems.sort((a, b) => {
     const dateA = new Date(a.pubDate || a.published_at || 0);
     const dateB = new Date(b.pubDate || b.published_at || 0);
     return dateB - dateA;
@@ -1186,6 +1340,32 @@ async function processAllNews() {
 /* -------------------- Schedule (no automatic cleanup of old articles) -------------------- */
 let isProcessing = false;
 
+/* -------------------- WebSub Pushed Items -------------------- */
+// Pushed entries skip the cycle and go straight into the processing queue
+async function processPushedItems(items, source) {
+  const regionFirst = getRegionFirstRegions().find(region => isRegionSource(source, region.key));
+
+  const normalized = items.map(raw => {
+    const item = applyCanonicalUrl(normalizeArticle(raw, source));
+    item.meta = {
+      ...(item.meta || {}),
+      ...(regionFirst ? { region_priority: true, regionHint: regionFirst.key } : {}),
+      websub: true
+    };
+    return item;
+  });
+
+  const distinctItems = await dedupeItems(normalized, supabase);
+  markItemsSeen(normalized.filter(item => item.publishedDuplicate));
+
+  for (const item of distinctItems) {
+    enqueueTask(() => processNewsItem(item, "websub"))
+      .catch(e => console.error(`❌ Pushed item failed:`, e.message));
+  }
+
+  return distinctItems.length;
+}
+
 async function runScheduledProcessing() {
   if (isProcessing) {
     console.log("⚠️  Processing already in progress, skipping...");
@@ -1195,8 +1375,12 @@ async function runScheduledProcessing() {
   isProcessing = true;
 
   try {
+    await quotaUsageLoaded;
     await processAllNews();
 
+    // Subscribe / renew WebSub leases for feeds that advertised a hub this cycle
+    await syncWebSubSubscriptions(NEWS_SOURCES);
+
     // NOTE: automatic deletion/cleanup of old articles was removed per request.
 
   } catch (error) {
@@ -1219,6 +1403,13 @@ module.exports = {
   supabase,
   isProcessing,
   runScheduledProcessing,
+  refreshNewsSources,
+  processPushedItems,
+  ingestUrl,
+  normalizeArticle,
+  processNewsItemDetailed,
+  enqueueTask,
+  rewriteWithParallelAI,
   NEWS_SOURCES,
   POLL_MINUTES,
   PROCESS_COUNT
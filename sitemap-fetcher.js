@@ -0,0 +1,167 @@
+// sitemap-fetcher.js - Google News sitemap (news-sitemap.xml) fetching module
+const zlib = require("zlib");
+const cheerio = require("cheerio");
+const { fetchWithRetries } = require("./rss-fetcher");
+
+/* -------------------- Config -------------------- */
+const MAX_CHILD_SITEMAPS = Number(process.env.SITEMAP_MAX_CHILDREN) || 3;
+const MAX_SITEMAP_DEPTH = 2;
+
+/* -------------------- Utils -------------------- */
+async function fetchSitemapXml(url) {
+  const response = await fetchWithRetries(url, {
+    headers: {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+      "Accept": "application/xml, text/xml, */*;q=0.1"
+    },
+    timeout: 20000
+  }, 2, 400);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  // *.xml.gz files are served as binary gzip rather than with Content-Encoding
+  const contentType = String(response.headers.get("content-type") || "").toLowerCase();
+  if (/\.gz($|\?)/i.test(url) || contentType.includes("gzip")) {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    try {
+      return zlib.gunzipSync(buffer).toString("utf8");
+    } catch (e) {
+      // Already decoded by the transport
+      return buffer.toString("utf8");
+    }
+  }
+
+  return response.text();
+}
+
+function text($el) {
+  return ($el.first().text() || "").trim();
+}
+
+function parseKeywords(raw) {
+  return String(raw || "")
+    .split(",")
+    .map(k => k.trim())
+    .filter(Boolean);
+}
+
+/* -------------------- Parsing -------------------- */
+function parseSitemapIndex($) {
+  const children = [];
+  $("sitemapindex > sitemap").each((i, elem) => {
+    const loc = text($(elem).find("loc"));
+    if (loc) children.push({ loc, lastmod: text($(elem).find("lastmod")) || null });
+  });
+  return children;
+}
+
+/**
+ * Parse <url> entries carrying <news:news> into the raw item shape used by the other fetchers.
+ * Plain sitemap URLs without news metadata are ignored (no title to work with).
+ */
+function parseNewsUrlset($, sitemapUrl) {
+  const items = [];
+
+  $("urlset > url").each((i, elem) => {
+    const $url = $(elem);
+    const $news = $url.find("news\\:news");
+    if (!$news.length) return;
+
+    const loc = text($url.find("loc"));
+    const title = text($news.find("news\\:title"));
+    if (!loc || !title) return;
+
+    const keywords = parseKeywords(text($news.find("news\\:keywords")));
+    const image = text($url.find("image\\:image image\\:loc")) || null;
+
+    items.push({
+      title,
+      description: "",
+      url: loc,
+      image,
+      pubDate: text($news.find("news\\:publication_date")) || text($url.find("lastmod")) || null,
+      source: text($news.find("news\\:publication news\\:name")) || sitemapUrl,
+      keywords,
+      language: text($news.find("news\\:publication news\\:language")) || null
+    });
+  });
+
+  return items;
+}
+
+async function collectSitemapItems(url, depth, options) {
+  const xml = await fetchSitemapXml(url);
+  const $ = cheerio.load(xml, { xmlMode: true });
+
+  if ($("sitemapindex").length) {
+    if (depth >= MAX_SITEMAP_DEPTH) return [];
+
+    // Newest child sitemaps first; news indexes are usually split by day
+    const children = parseSitemapIndex($)
+      .filter(c => !options.from || !c.lastmod || new Date(c.lastmod) >= new Date(options.from))
+      .sort((a, b) => new Date(b.lastmod || 0) - new Date(a.lastmod || 0))
+      .slice(0, options.maxChildSitemaps || MAX_CHILD_SITEMAPS);
+
+    console.log(`   🗂️ Sitemap index ${url}: following ${children.length} child sitemap(s)`);
+
+    const items = [];
+    for (const child of children) {
+      try {
+        items.push(...await collectSitemapItems(child.loc, depth + 1, options));
+      } catch (e) {
+        console.warn(`   ❌ Child sitemap failed ${child.loc}:`, e.message);
+      }
+    }
+    return items;
+  }
+
+  if (!$("urlset").length) {
+    throw new Error("Not a sitemap (no <urlset> or <sitemapindex>)");
+  }
+
+  return parseNewsUrlset($, url);
+}
+
+/* -------------------- Sitemap Fetcher -------------------- */
+/**
+ * Fetch a Google News sitemap (or a sitemap index pointing at news sitemaps)
+ * and return the newest maxItems entries.
+ * Options: throwOnError, maxChildSitemaps, from / to (ISO dates, inclusive range filter).
+ */
+async function fetchNewsSitemap(sitemapUrl, maxItems = 20, options = {}) {
+  try {
+    console.log(`📡 Fetching LATEST news sitemap: ${sitemapUrl}`);
+
+    let items = await collectSitemapItems(sitemapUrl, 0, options);
+
+    if (options.from || options.to) {
+      const from = options.from ? new Date(options.from).getTime() : -Infinity;
+      const to = options.to ? new Date(options.to).getTime() : Infinity;
+      items = items.filter(it => {
+        const t = new Date(it.pubDate || 0).getTime();
+        return t >= from && t <= to;
+      });
+    }
+
+    items = items
+      .sort((a, b) => new Date(b.pubDate || 0) - new Date(a.pubDate || 0))
+      .slice(0, maxItems);
+
+    console.log(`✅ Fetched ${items.length} LATEST items from sitemap: ${sitemapUrl}`);
+    return items;
+
+  } catch (error) {
+    console.warn(`❌ Failed to fetch sitemap ${sitemapUrl}:`, error && error.message ? error.message : error);
+    if (options.throwOnError) throw error;
+    return [];
+  }
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  fetchNewsSitemap,
+  parseNewsUrlset,
+  parseSitemapIndex
+};
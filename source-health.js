@@ -0,0 +1,129 @@
+// source-health.js - Per-source fetch health kept across cycles, with an exponential-backoff circuit breaker
+
+/* -------------------- Config -------------------- */
+const FAILURE_THRESHOLD = Number(process.env.SOURCE_FAILURE_THRESHOLD) || 3;
+const BASE_COOLDOWN_MS = (Number(process.env.SOURCE_BASE_COOLDOWN_MINUTES) || 10) * 60 * 1000;
+const MAX_COOLDOWN_MS = (Number(process.env.SOURCE_MAX_COOLDOWN_MINUTES) || 6 * 60) * 60 * 1000;
+
+// sourceKey -> state
+const sourceStates = new Map();
+
+function getState(key, name) {
+  let state = sourceStates.get(key);
+  if (!state) {
+    state = {
+      key,
+      name: name || key,
+      consecutiveFailures: 0,
+      totalSuccesses: 0,
+      totalFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      avgItemCount: 0,
+      nextAttemptAt: null
+    };
+    sourceStates.set(key, state);
+  }
+  if (name) state.name = name;
+  return state;
+}
+
+function cooldownFor(consecutiveFailures) {
+  const exponent = Math.max(0, consecutiveFailures - FAILURE_THRESHOLD);
+  return Math.min(BASE_COOLDOWN_MS * Math.pow(2, exponent), MAX_COOLDOWN_MS);
+}
+
+/* -------------------- Circuit breaker -------------------- */
+/**
+ * Returns true while a repeatedly failing source is cooling off.
+ * Once the cool-off passes the source gets a single trial run; another failure re-opens it for longer.
+ */
+function shouldSkipSource(key) {
+  const state = sourceStates.get(key);
+  if (!state || !state.nextAttemptAt) return false;
+  return Date.now() < new Date(state.nextAttemptAt).getTime();
+}
+
+function recordSourceSuccess(key, name, itemCount = 0) {
+  const state = getState(key, name);
+  const count = Number(itemCount) || 0;
+
+  state.totalSuccesses++;
+  // Running average over successful runs
+  state.avgItemCount = Math.round(((state.avgItemCount * (state.totalSuccesses - 1)) + count) / state.totalSuccesses * 10) / 10;
+  state.lastSuccessAt = new Date().toISOString();
+  state.consecutiveFailures = 0;
+  state.nextAttemptAt = null;
+  return state;
+}
+
+function recordSourceFailure(key, name, error) {
+  const state = getState(key, name);
+
+  state.totalFailures++;
+  state.consecutiveFailures++;
+  state.lastFailureAt = new Date().toISOString();
+  state.lastError = error && error.message ? error.message : String(error || "unknown error");
+
+  if (state.consecutiveFailures >= FAILURE_THRESHOLD) {
+    const cooldown = cooldownFor(state.consecutiveFailures);
+    state.nextAttemptAt = new Date(Date.now() + cooldown).toISOString();
+    console.warn(`   🔌 Circuit open for ${state.name}: ${state.consecutiveFailures} consecutive failures, retry after ${Math.round(cooldown / 60000)} min`);
+  }
+  return state;
+}
+
+function resetSourceHealth(key) {
+  if (key) return sourceStates.delete(key);
+  sourceStates.clear();
+  return true;
+}
+
+/* -------------------- Reporting -------------------- */
+function sourceStatus(state) {
+  if (state.nextAttemptAt && Date.now() < new Date(state.nextAttemptAt).getTime()) return "open";
+  if (state.consecutiveFailures > 0) return "failing";
+  return "healthy";
+}
+
+function getSourceHealth() {
+  return Array.from(sourceStates.values())
+    .map(state => ({
+      key: state.key,
+      name: state.name,
+      status: sourceStatus(state),
+      consecutive_failures: state.consecutiveFailures,
+      total_successes: state.totalSuccesses,
+      total_failures: state.totalFailures,
+      last_success_at: state.lastSuccessAt,
+      last_failure_at: state.lastFailureAt,
+      last_error: state.lastError,
+      avg_item_count: state.avgItemCount,
+      next_attempt_at: state.nextAttemptAt
+    }))
+    .sort((a, b) => b.consecutive_failures - a.consecutive_failures);
+}
+
+function getSourceHealthSummary() {
+  const all = getSourceHealth();
+  return {
+    tracked: all.length,
+    healthy: all.filter(s => s.status === "healthy").length,
+    failing: all.filter(s => s.status === "failing").length,
+    circuit_open: all.filter(s => s.status === "open").length,
+    broken: all
+      .filter(s => s.status !== "healthy")
+      .map(s => ({ key: s.key, name: s.name, status: s.status, last_error: s.last_error, next_attempt_at: s.next_attempt_at }))
+  };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  shouldSkipSource,
+  recordSourceSuccess,
+  recordSourceFailure,
+  resetSourceHealth,
+  getSourceHealth,
+  getSourceHealthSummary
+};
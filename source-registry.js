@@ -0,0 +1,268 @@
+// source-registry.js - Database-backed news source registry (static RSS/API sources as seed + fallback)
+const { RSS_SOURCES } = require("./rss-fetcher");
+const { API_SOURCES } = require("./api-fetchers");
+
+/* -------------------- Config -------------------- */
+// Table columns: id, key (unique), name, type, priority, enabled, region, config (jsonb), created_at, updated_at
+const SOURCES_TABLE = process.env.SOURCES_TABLE || "news_sources";
+
+const SOURCE_TYPES = ["RSS", "GNEWS", "NEWSAPI", "SITEMAP", "HTML_LIST", "GOOGLE_NEWS_RSS", "YOUTUBE"];
+
+/* Static sources used to seed the table and as fallback when it is empty/unreachable */
+const STATIC_SOURCES = {
+  ...RSS_SOURCES,
+  ...API_SOURCES
+};
+
+/* -------------------- Mapping -------------------- */
+function rowToSource(row) {
+  return {
+    id: row.id,
+    priority: Number(row.priority) || 5,
+    name: row.name,
+    type: row.type,
+    region: row.region || null,
+    enabled: row.enabled !== false,
+    config: row.config || {}
+  };
+}
+
+function sourceToRow(key, source) {
+  return {
+    key,
+    name: source.name,
+    type: source.type,
+    priority: Number(source.priority) || 5,
+    enabled: source.enabled !== false,
+    region: source.region || null,
+    config: source.config || {}
+  };
+}
+
+function makeSourceKey(name) {
+  return String(name || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "_")
+    .replace(/(^_|_$)/g, "")
+    .slice(0, 60);
+}
+
+/* -------------------- Validation -------------------- */
+/**
+ * Validate an admin payload for a source. Returns an array of error messages (empty when valid).
+ * `partial` only checks the fields present (the shape of an update patch); the merged result
+ * (mergeSourceUpdate) still needs a full check before it is saved.
+ */
+function validateSource(payload, { partial = false } = {}) {
+  const errors = [];
+  const p = payload || {};
+
+  if (!partial || p.name !== undefined) {
+    if (!p.name || !String(p.name).trim()) errors.push("name is required");
+  }
+
+  if (!partial || p.type !== undefined) {
+    if (!SOURCE_TYPES.includes(p.type)) errors.push(`type must be one of ${SOURCE_TYPES.join(", ")}`);
+  }
+
+  if (p.priority !== undefined && !Number.isFinite(Number(p.priority))) {
+    errors.push("priority must be a number");
+  }
+
+  if (p.config !== undefined && (typeof p.config !== "object" || Array.isArray(p.config) || p.config === null)) {
+    errors.push("config must be an object");
+  }
+
+  const config = p.config || {};
+  if ((p.type === "RSS" || p.type === "SITEMAP" || p.type === "HTML_LIST") && !partial && !config.url) {
+    errors.push(`config.url is required for ${p.type} sources`);
+  }
+  if ((p.type === "GNEWS" || p.type === "NEWSAPI" || p.type === "GOOGLE_NEWS_RSS") && !partial && !config.q) {
+    errors.push(`config.q is required for ${p.type} sources`);
+  }
+  if (p.type === "YOUTUBE" && !partial && !(config.channelId || config.playlistId || config.url)) {
+    errors.push("config.channelId, config.playlistId or config.url is required for YOUTUBE sources");
+  }
+  if (p.type === "HTML_LIST" && !partial && !(config.selectors && config.selectors.item)) {
+    errors.push("config.selectors.item is required for HTML_LIST sources");
+  }
+  if (config.maxItems !== undefined && !(Number(config.maxItems) > 0)) {
+    errors.push("config.maxItems must be a positive number");
+  }
+
+  return errors;
+}
+
+/**
+ * Apply an update patch to a stored row. Config is merged key by key (null removes a key),
+ * so `{ config: { maxItems: 5 } }` keeps the feed URL.
+ */
+function mergeSourceUpdate(row, payload) {
+  const merged = {
+    name: row.name,
+    type: row.type,
+    priority: row.priority,
+    enabled: row.enabled !== false,
+    region: row.region || null,
+    config: { ...(row.config || {}) }
+  };
+
+  for (const field of ["name", "type", "priority", "enabled", "region"]) {
+    if (payload[field] !== undefined) merged[field] = payload[field];
+  }
+  for (const [name, value] of Object.entries(payload.config || {})) {
+    if (value === null) delete merged.config[name];
+    else merged.config[name] = value;
+  }
+
+  return merged;
+}
+
+/* -------------------- Loading -------------------- */
+/**
+ * Load enabled sources keyed like NEWS_SOURCES. Falls back to STATIC_SOURCES when the
+ * table is empty or cannot be read, so a fresh deployment keeps working.
+ */
+async function loadSources(supabase) {
+  if (!supabase) return { ...STATIC_SOURCES };
+
+  try {
+    const { data, error } = await supabase
+      .from(SOURCES_TABLE)
+      .select("*")
+      .order("priority", { ascending: true });
+
+    if (error) {
+      console.warn(`⚠️ Source registry unavailable (${error.message}) — using static sources`);
+      return { ...STATIC_SOURCES };
+    }
+
+    if (!data || data.length === 0) {
+      return { ...STATIC_SOURCES };
+    }
+
+    const sources = {};
+    for (const row of data) {
+      if (row.enabled === false) continue;
+      sources[row.key] = rowToSource(row);
+    }
+
+    console.log(`📚 Loaded ${Object.keys(sources).length} enabled sources from ${SOURCES_TABLE}`);
+    return sources;
+
+  } catch (e) {
+    console.warn(`⚠️ Source registry load failed (${e.message}) — using static sources`);
+    return { ...STATIC_SOURCES };
+  }
+}
+
+/* -------------------- CRUD (used by admin routes) -------------------- */
+async function listSources(supabase) {
+  const { data, error } = await supabase
+    .from(SOURCES_TABLE)
+    .select("*")
+    .order("priority", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function getSource(supabase, id) {
+  const { data, error } = await supabase
+    .from(SOURCES_TABLE)
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function createSource(supabase, payload) {
+  const now = new Date().toISOString();
+  const key = payload.key ? makeSourceKey(payload.key) : makeSourceKey(payload.name);
+  const row = {
+    ...sourceToRow(key, payload),
+    created_at: now,
+    updated_at: now
+  };
+
+  const { data, error } = await supabase
+    .from(SOURCES_TABLE)
+    .insert([row])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateSource(supabase, id, payload) {
+  const update = { updated_at: new Date().toISOString() };
+  for (const field of ["name", "type", "priority", "enabled", "region", "config"]) {
+    if (payload[field] !== undefined) update[field] = payload[field];
+  }
+  if (update.priority !== undefined) update.priority = Number(update.priority);
+
+  const { data, error } = await supabase
+    .from(SOURCES_TABLE)
+    .update(update)
+    .eq("id", id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteSource(supabase, id) {
+  const { data, error } = await supabase
+    .from(SOURCES_TABLE)
+    .delete()
+    .eq("id", id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Insert the static sources into the table. Existing keys are left untouched.
+ */
+async function seedSources(supabase) {
+  const now = new Date().toISOString();
+  const rows = Object.entries(STATIC_SOURCES).map(([key, source]) => {
+    // "from" is computed at module load; storing it would pin the query window forever
+    const { from, ...config } = source.config || {};
+    return {
+      ...sourceToRow(key, { ...source, config }),
+      created_at: now,
+      updated_at: now
+    };
+  });
+
+  const { data, error } = await supabase
+    .from(SOURCES_TABLE)
+    .upsert(rows, { onConflict: "key", ignoreDuplicates: true })
+    .select();
+
+  if (error) throw error;
+  return data || [];
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  SOURCES_TABLE,
+  SOURCE_TYPES,
+  STATIC_SOURCES,
+  loadSources,
+  listSources,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  seedSources,
+  validateSource,
+  mergeSourceUpdate
+};
@@ -0,0 +1,317 @@
+// source-updates.js - Recheck recent articles' sources; re-rewrite material updates, keep old versions
+const { supabase, enqueueTask, rewriteWithParallelAI } = require("./server");
+const { fetchPage } = require("./page-fetcher");
+const { extractArticleContent } = require("./article-extractor");
+const { extractJsonLd } = require("./jsonld");
+const { drainFeedUpdates } = require("./rss-fetcher");
+const { contentSignature, compareContentSignatures } = require("./dedupe");
+const { canonicalizeUrl } = require("./url-canonical");
+
+/* -------------------- Config -------------------- */
+// Table columns: id, article_id, version, title, ai_content, ai_blocks (jsonb), short_desc, image_url,
+// meta (jsonb), change_note, created_at — one row per superseded version of an ai_news article
+const VERSIONS_TABLE = process.env.VERSIONS_TABLE || "ai_news_versions";
+
+const RECHECK_MINUTES = Number(process.env.SOURCE_RECHECK_MINUTES) || 60;
+// Only articles this recent are rechecked on the schedule (feed updates are honoured for any age)
+const RECHECK_HOURS = Number(process.env.SOURCE_RECHECK_HOURS) || 48;
+const RECHECK_BATCH = Number(process.env.SOURCE_RECHECK_BATCH) || 20;
+const RECHECK_ENABLED = process.env.SOURCE_RECHECK_ENABLED !== "false";
+const MAX_CANDIDATES = 200;
+
+let isRechecking = false;
+let lastRun = null;
+
+/* -------------------- Source state -------------------- */
+// JSON-LD dateModified first (see jsonld.js), then the usual meta tags
+function readModifiedTime($, pageUrl) {
+  const jsonLd = extractJsonLd($, pageUrl);
+  if (jsonLd && jsonLd.date_modified) return jsonLd.date_modified;
+
+  return $('meta[property="article:modified_time"], meta[property="og:updated_time"], meta[itemprop="dateModified"], meta[name="last-modified"]')
+    .first()
+    .attr("content") || null;
+}
+
+function toIso(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Hindi one-liner shown with updated articles, e.g. "स्रोत ने आंकड़े अपडेट किए (5 → 7)".
+ */
+function buildChangeNote(diff) {
+  if (diff.addedNumbers.length === 1 && diff.removedNumbers.length === 1) {
+    return `स्रोत ने आंकड़े अपडेट किए (${diff.removedNumbers[0]} → ${diff.addedNumbers[0]})`;
+  }
+  if (diff.addedNumbers.length > 0 || diff.removedNumbers.length > 0) {
+    return "स्रोत ने आंकड़े अपडेट किए";
+  }
+  if (diff.lengthRatio > 1.15) {
+    return "स्रोत ने रिपोर्ट में नई जानकारी जोड़ी";
+  }
+  return "स्रोत ने रिपोर्ट में सुधार किया";
+}
+
+// Meta as stored now: sources attached by dedupe.js during a recheck must not be overwritten
+async function currentMeta(article) {
+  const { data, error } = await supabase
+    .from("ai_news")
+    .select("meta")
+    .eq("id", article.id)
+    .maybeSingle();
+  if (error) throw error;
+  return (data && data.meta) || article.meta || {};
+}
+
+async function updateMeta(article, fields) {
+  const meta = await currentMeta(article);
+  const { error } = await supabase
+    .from("ai_news")
+    .update({ meta: { ...meta, ...fields } })
+    .eq("id", article.id);
+  if (error) throw error;
+}
+
+/* -------------------- Recheck one article -------------------- */
+/**
+ * Recheck one ai_news row against its source. Resolves to { status, note? } where status is
+ * "skipped", "unchanged", "baseline", "minor", "updated" or "failed".
+ * options.feedUpdated: the feed's "updated" date that triggered the check, if any.
+ */
+async function recheckArticle(article, options = {}) {
+  const meta = article.meta || {};
+  if (!article.source_url || meta.is_manual || meta.video_first) {
+    return { status: "skipped" };
+  }
+
+  const checkedAt = new Date().toISOString();
+
+  try {
+    // Always a fresh download: the cached copy is what we are comparing against
+    const page = await fetchPage(article.source_url, { fresh: true, timeout: 15000 });
+    if (!page.ok) {
+      await updateMeta(article, { source_checked_at: checkedAt, source_check_error: `HTTP ${page.status}` });
+      return { status: "failed", note: `HTTP ${page.status}` };
+    }
+
+    // An unchanged modified time means nothing to compare
+    const modifiedAt = toIso(readModifiedTime(page.$, page.url)) || toIso(options.feedUpdated);
+    if (meta.source_signature && modifiedAt && meta.source_modified_at && modifiedAt <= meta.source_modified_at) {
+      await updateMeta(article, { source_checked_at: checkedAt });
+      return { status: "unchanged" };
+    }
+
+    const content = extractArticleContent(page.$, page.url);
+    const body = content ? content.text : null;
+    if (!body) {
+      await updateMeta(article, { source_checked_at: checkedAt, source_modified_at: modifiedAt || meta.source_modified_at || null });
+      return { status: "unchanged" };
+    }
+
+    const signature = contentSignature(body);
+    if (!meta.source_signature) {
+      await updateMeta(article, { source_checked_at: checkedAt, source_signature: signature, source_modified_at: modifiedAt });
+      return { status: "baseline" };
+    }
+
+    const diff = compareContentSignatures(meta.source_signature, signature);
+    if (!diff.material) {
+      await updateMeta(article, { source_checked_at: checkedAt, source_signature: signature, source_modified_at: modifiedAt });
+      return { status: diff.changed ? "minor" : "unchanged" };
+    }
+
+    console.log(`🔄 Source updated for "${article.title.substring(0, 50)}..." — rewriting`);
+    const note = buildChangeNote(diff);
+    const aiResult = await enqueueTask(() => rewriteWithParallelAI(meta.original_title || article.title, body, !!meta.has_videos, content.blocks));
+
+    if (!aiResult.success) {
+      await updateMeta(article, { source_checked_at: checkedAt, source_check_error: "ai_rewrite_failed" });
+      return { status: "failed", note: "ai_rewrite_failed" };
+    }
+
+    // Re-read after the rewrite, which can take minutes in the queue
+    const latestMeta = await currentMeta(article);
+    const version = latestMeta.version || 1;
+    const { error: versionError } = await supabase
+      .from(VERSIONS_TABLE)
+      .insert({
+        article_id: article.id,
+        version,
+        title: article.title,
+        ai_content: article.ai_content,
+        ai_blocks: article.ai_blocks || null,
+        short_desc: article.short_desc,
+        image_url: article.image_url,
+        meta: latestMeta,
+        change_note: latestMeta.change_note || null,
+        created_at: article.updated_at || article.created_at || checkedAt
+      });
+    if (versionError) throw versionError;
+
+    const { error } = await supabase
+      .from("ai_news")
+      .update({
+        title: aiResult.title,
+        ai_content: aiResult.content,
+        ai_blocks: aiResult.blocks,
+        short_desc: aiResult.content.substring(0, 250) + "...",
+        updated_at: checkedAt,
+        meta: {
+          ...latestMeta,
+          version: version + 1,
+          change_note: note,
+          word_count: aiResult.wordCount,
+          ai_provider: aiResult.provider,
+          source_signature: signature,
+          source_modified_at: modifiedAt,
+          source_checked_at: checkedAt,
+          source_check_error: null
+        }
+      })
+      .eq("id", article.id);
+    if (error) throw error;
+
+    console.log(`✅ Updated to version ${version + 1}: ${note}`);
+    return { status: "updated", note };
+
+  } catch (e) {
+    if (e.code === "ROBOTS_DISALLOWED") {
+      // Not retried until the next interval
+      await updateMeta(article, { source_checked_at: checkedAt, source_check_error: "robots_disallowed" }).catch(() => {});
+      return { status: "skipped", note: "robots_disallowed" };
+    }
+    console.warn(`❌ Source recheck failed for article ${article.id}:`, e.message);
+    return { status: "failed", note: e.message };
+  }
+}
+
+/* -------------------- Scheduled run -------------------- */
+const ARTICLE_FIELDS = "id, title, source_url, ai_content, ai_blocks, short_desc, image_url, created_at, updated_at, meta";
+
+async function articlesForFeedUpdates(updates) {
+  // Stored source_url is canonical (see url-canonical.js); latest update per URL wins
+  const byUrl = new Map();
+  for (const update of updates) {
+    if (update.url) byUrl.set(canonicalizeUrl(update.url), update.updated);
+  }
+
+  const urls = Array.from(byUrl.keys());
+  const found = [];
+  for (let i = 0; i < urls.length; i += 100) {
+    const { data, error } = await supabase
+      .from("ai_news")
+      .select(ARTICLE_FIELDS)
+      .in("source_url", urls.slice(i, i + 100));
+    if (error) throw error;
+    found.push(...(data || []));
+  }
+
+  return found.map(article => ({ article, feedUpdated: byUrl.get(article.source_url) || null }));
+}
+
+async function staleRecentArticles(limit) {
+  const since = new Date(Date.now() - RECHECK_HOURS * 60 * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from("ai_news")
+    .select(ARTICLE_FIELDS)
+    .gte("created_at", since)
+    .order("created_at", { ascending: false })
+    .limit(MAX_CANDIDATES);
+  if (error) throw error;
+
+  const dueBefore = Date.now() - RECHECK_MINUTES * 60 * 1000;
+  return (data || [])
+    .filter(a => a.source_url && !a.meta?.is_manual && !a.meta?.video_first)
+    .filter(a => !a.meta?.source_checked_at || new Date(a.meta.source_checked_at).getTime() < dueBefore)
+    .sort((a, b) => new Date(a.meta?.source_checked_at || 0) - new Date(b.meta?.source_checked_at || 0))
+    .slice(0, limit)
+    .map(article => ({ article, feedUpdated: null }));
+}
+
+/**
+ * One recheck pass: articles whose feed entry was updated first, then the least recently
+ * checked recent articles, up to SOURCE_RECHECK_BATCH in total.
+ */
+async function runSourceRecheck() {
+  if (isRechecking) {
+    console.log("⚠️ Source recheck already running, skipping...");
+    return null;
+  }
+  isRechecking = true;
+
+  const stats = { checked: 0, updated: 0, minor: 0, unchanged: 0, baseline: 0, failed: 0, skipped: 0 };
+
+  try {
+    const fromFeeds = await articlesForFeedUpdates(drainFeedUpdates());
+    const seen = new Set(fromFeeds.map(c => c.article.id));
+    const scheduled = (await staleRecentArticles(RECHECK_BATCH)).filter(c => !seen.has(c.article.id));
+    const candidates = fromFeeds.concat(scheduled).slice(0, Math.max(RECHECK_BATCH, fromFeeds.length));
+
+    if (candidates.length > 0) {
+      console.log(`🔍 Rechecking ${candidates.length} article source(s) (${fromFeeds.length} from feed updates)`);
+    }
+
+    for (const { article, feedUpdated } of candidates) {
+      const result = await recheckArticle(article, { feedUpdated });
+      stats.checked++;
+      stats[result.status] = (stats[result.status] || 0) + 1;
+    }
+
+    if (stats.updated > 0) {
+      console.log(`🔄 Source recheck: ${stats.updated} updated, ${stats.minor} minor edits, ${stats.failed} failed`);
+    }
+  } catch (e) {
+    console.error("❌ Source recheck failed:", e.message);
+  } finally {
+    isRechecking = false;
+    lastRun = { at: new Date().toISOString(), ...stats };
+  }
+
+  return stats;
+}
+
+function startSourceRechecks() {
+  if (!RECHECK_ENABLED) {
+    console.log("⏸️ Source rechecks disabled (SOURCE_RECHECK_ENABLED=false)");
+    return;
+  }
+  setInterval(runSourceRecheck, RECHECK_MINUTES * 60 * 1000);
+  console.log(`🔍 Source rechecks every ${RECHECK_MINUTES} minutes (articles from the last ${RECHECK_HOURS}h)`);
+}
+
+/* -------------------- Versions -------------------- */
+/**
+ * Superseded versions of an article, newest first (the current text lives in ai_news).
+ */
+async function listArticleVersions(articleId) {
+  const { data, error } = await supabase
+    .from(VERSIONS_TABLE)
+    .select("id, article_id, version, title, short_desc, change_note, created_at")
+    .eq("article_id", articleId)
+    .order("version", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+function getSourceRecheckStatus() {
+  return {
+    enabled: RECHECK_ENABLED,
+    interval_minutes: RECHECK_MINUTES,
+    window_hours: RECHECK_HOURS,
+    running: isRechecking,
+    last_run: lastRun
+  };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  recheckArticle,
+  runSourceRecheck,
+  startSourceRechecks,
+  listArticleVersions,
+  getSourceRecheckStatus,
+  buildChangeNote
+};
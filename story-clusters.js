@@ -0,0 +1,215 @@
+// story-clusters.js - Group articles about one evolving event into story clusters (ai_news.cluster_id)
+const crypto = require("crypto");
+const { tokenize, GENERIC_TOKENS } = require("./dedupe");
+const { REGIONS, NATIONAL_KEYWORDS } = require("./regions");
+
+/* -------------------- Config -------------------- */
+// ai_news.cluster_id (text, nullable): shared by every article of the same story
+// Articles published this many hours apart can still belong to one story
+const CLUSTER_WINDOW_HOURS = Number(process.env.CLUSTER_WINDOW_HOURS) || 72;
+// 0..1: lower than the duplicate threshold — follow-ups share the event, not the wording
+const CLUSTER_THRESHOLD = Number(process.env.CLUSTER_THRESHOLD) || 0.4;
+const MAX_CANDIDATES = 300;
+const MAX_TIMELINE = 100;
+
+// Place names as skeleton tokens, so "Chamoli" and "चमोली" are the same entity.
+// Two-letter skeletons (Kullu -> "kl") collide with ordinary words and are left out.
+const PLACE_TOKENS = new Set(
+  Object.values(REGIONS)
+    .flatMap(region => [region.name, region.nameHi, ...region.keywords])
+    .concat(NATIONAL_KEYWORDS)
+    .flatMap(tokenize)
+    .filter(t => t.length >= 3)
+);
+
+const TIMELINE_FIELDS = "id,title,slug,short_desc,image_url,region,genre,source_url,published_at,created_at,cluster_id,meta";
+
+/* -------------------- Similarity -------------------- */
+/**
+ * Tokens, place entities and event tokens for clustering, from the stored (Hindi) title and
+ * the source title. Generic tokens (#cm, #today, ...) are dropped as in dedupe.js; event
+ * tokens are the remaining concepts ("#cloudburst") and numbers.
+ */
+function storySignature(title, originalTitle = "") {
+  const tokens = Array.from(new Set(tokenize(`${title || ""} ${originalTitle || ""}`)))
+    .filter(t => !GENERIC_TOKENS.has(t));
+  return {
+    tokens,
+    entities: new Set(tokens.filter(t => PLACE_TOKENS.has(t))),
+    events: tokens.filter(t => t.startsWith("#") || /^\d+$/.test(t))
+  };
+}
+
+function overlap(a, b) {
+  const setB = new Set(b);
+  return a.filter(t => setB.has(t)).length;
+}
+
+/**
+ * 0..1 story similarity: token Dice blended with place Jaccard. Sharing only a place or a
+ * person ("CM Dhami in Dehradun" chairs a meeting vs opens a school) is not enough — at least
+ * one event concept or number has to match too — and stories naming different places never match.
+ */
+function storySimilarity(a, b) {
+  if (!a.tokens.length || !b.tokens.length) return 0;
+  if (overlap(a.events, b.events) === 0) return 0;
+
+  const tokenScore = (2 * overlap(a.tokens, b.tokens)) / (a.tokens.length + b.tokens.length);
+  if (!a.entities.size || !b.entities.size) return tokenScore;
+
+  const sharedEntities = overlap(Array.from(a.entities), Array.from(b.entities));
+  if (sharedEntities === 0) return 0;
+
+  const entityScore = sharedEntities / (a.entities.size + b.entities.size - sharedEntities);
+  return 0.7 * tokenScore + 0.3 * entityScore;
+}
+
+/* -------------------- Assignment -------------------- */
+/**
+ * Pick the cluster for an article about to be inserted: the cluster of the most similar
+ * article published within the window, or a new id. A matching older article without a
+ * cluster is moved into the new one so the story starts with it.
+ */
+async function assignStoryCluster(supabase, record) {
+  const publishedAt = new Date(record.published_at || Date.now()).getTime();
+  const windowMs = CLUSTER_WINDOW_HOURS * 60 * 60 * 1000;
+  const signature = storySignature(record.title, record.meta?.original_title);
+
+  try {
+    const { data, error } = await supabase
+      .from("ai_news")
+      .select("id, title, cluster_id, published_at, meta")
+      .gte("published_at", new Date(publishedAt - windowMs).toISOString())
+      .lte("published_at", new Date(publishedAt + windowMs).toISOString())
+      .order("published_at", { ascending: false })
+      .limit(MAX_CANDIDATES);
+
+    if (error) throw error;
+
+    let best = null;
+    for (const row of data || []) {
+      const score = storySimilarity(signature, storySignature(row.title, row.meta?.original_title));
+      if (score >= CLUSTER_THRESHOLD && (!best || score > best.score)) {
+        best = { row, score };
+      }
+    }
+
+    if (!best) return crypto.randomUUID();
+
+    if (best.row.cluster_id) {
+      console.log(`   🧵 Story cluster ${best.row.cluster_id.slice(0, 8)} (${best.score.toFixed(2)})`);
+      return best.row.cluster_id;
+    }
+
+    const clusterId = crypto.randomUUID();
+    const { error: updateError } = await supabase
+      .from("ai_news")
+      .update({ cluster_id: clusterId })
+      .eq("id", best.row.id);
+    if (updateError) throw updateError;
+
+    console.log(`   🧵 New story cluster ${clusterId.slice(0, 8)} with article ${best.row.id} (${best.score.toFixed(2)})`);
+    return clusterId;
+
+  } catch (e) {
+    console.warn(`⚠️ Story clustering failed, starting a new cluster:`, e.message);
+    return crypto.randomUUID();
+  }
+}
+
+/* -------------------- Timelines -------------------- */
+function timelineEntry(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    slug: row.slug,
+    short_desc: row.short_desc,
+    image_url: row.image_url,
+    region: row.region,
+    genre: row.genre,
+    published_at: row.published_at,
+    source_name: row.meta?.source_name || null,
+    source_url: row.source_url || null,
+    additional_sources: row.meta?.additional_sources || []
+  };
+}
+
+function summarizeSources(rows) {
+  const sources = new Map();
+  const add = (name, url) => {
+    const key = name || (() => { try { return new URL(url).hostname } catch (e) { return "unknown" } })();
+    const entry = sources.get(key) || { name: key, article_count: 0, urls: [] };
+    entry.article_count++;
+    if (url && !entry.urls.includes(url)) entry.urls.push(url);
+    sources.set(key, entry);
+  };
+
+  for (const row of rows) {
+    add(row.meta?.source_name, row.source_url);
+    for (const extra of row.meta?.additional_sources || []) {
+      add(extra.source_name, extra.url);
+    }
+  }
+
+  return Array.from(sources.values()).sort((a, b) => b.article_count - a.article_count);
+}
+
+function buildStory(clusterId, rows) {
+  const ordered = rows.slice().sort((a, b) => new Date(a.published_at) - new Date(b.published_at));
+  return {
+    cluster_id: clusterId,
+    article_count: ordered.length,
+    first_published_at: ordered[0]?.published_at || null,
+    last_published_at: ordered[ordered.length - 1]?.published_at || null,
+    sources: summarizeSources(ordered),
+    timeline: ordered.map(timelineEntry)
+  };
+}
+
+/**
+ * Oldest-first timeline of a cluster with its sources, or null when the cluster is unknown.
+ */
+async function getStoryTimeline(supabase, clusterId) {
+  const { data, error } = await supabase
+    .from("ai_news")
+    .select(TIMELINE_FIELDS)
+    .eq("cluster_id", clusterId)
+    .order("published_at", { ascending: true })
+    .limit(MAX_TIMELINE);
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+  return buildStory(clusterId, data);
+}
+
+/**
+ * Coverage for one article: its cluster's timeline, or a one-entry timeline for
+ * articles stored before clustering. Null when the slug is unknown.
+ */
+async function getArticleCoverage(supabase, slug) {
+  const { data: article, error } = await supabase
+    .from("ai_news")
+    .select(TIMELINE_FIELDS)
+    .eq("slug", slug)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!article) return null;
+
+  const story = article.cluster_id ? await getStoryTimeline(supabase, article.cluster_id) : null;
+  return {
+    article: { id: article.id, slug: article.slug, title: article.title },
+    ...(story || buildStory(null, [article]))
+  };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  CLUSTER_WINDOW_HOURS,
+  CLUSTER_THRESHOLD,
+  storySignature,
+  storySimilarity,
+  assignStoryCluster,
+  getStoryTimeline,
+  getArticleCoverage
+};
@@ -0,0 +1,72 @@
+-- Schema used by the ingestion pipeline on top of the original ai_news / admin_audit tables.
+-- Safe to re-run: every statement is IF NOT EXISTS. ai_news.id is assumed to be uuid.
+
+/* -------------------- ai_news -------------------- */
+-- Ordered body blocks next to the plain ai_content (article-blocks.js)
+alter table public.ai_news add column if not exists ai_blocks jsonb;
+-- Story cluster shared by every article about one event (story-clusters.js)
+alter table public.ai_news add column if not exists cluster_id text;
+-- Set when a source update is re-rewritten (source-updates.js) and by admin edits
+alter table public.ai_news add column if not exists updated_at timestamptz;
+
+create index if not exists ai_news_cluster_id_idx on public.ai_news (cluster_id, published_at desc);
+
+/* -------------------- news_sources (source-registry.js) -------------------- */
+create table if not exists public.news_sources (
+  id uuid primary key default gen_random_uuid(),
+  key text not null unique,
+  name text not null,
+  type text not null,
+  priority integer not null default 5,
+  enabled boolean not null default true,
+  region text,
+  config jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+/* -------------------- backfill_jobs (backfill.js) -------------------- */
+create table if not exists public.backfill_jobs (
+  id uuid primary key default gen_random_uuid(),
+  -- pending | running | paused | cancelled | completed | failed
+  status text not null default 'pending',
+  range_from timestamptz not null,
+  range_to timestamptz not null,
+  sources jsonb not null default '[]'::jsonb,
+  options jsonb not null default '{}'::jsonb,
+  cursor jsonb,
+  items jsonb not null default '[]'::jsonb,
+  stats jsonb not null default '{}'::jsonb,
+  last_error text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists backfill_jobs_status_idx on public.backfill_jobs (status, created_at);
+
+/* -------------------- ai_news_versions (source-updates.js) -------------------- */
+-- One row per superseded version of an article; the current text stays in ai_news
+create table if not exists public.ai_news_versions (
+  id uuid primary key default gen_random_uuid(),
+  article_id uuid not null references public.ai_news (id) on delete cascade,
+  version integer not null,
+  title text,
+  ai_content text,
+  ai_blocks jsonb,
+  short_desc text,
+  image_url text,
+  meta jsonb,
+  change_note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ai_news_versions_article_idx on public.ai_news_versions (article_id, version desc);
+
+/* -------------------- Storage -------------------- */
+-- Article images go to the public IMAGE_BUCKET bucket (default news-images), which
+-- image-pipeline.js creates on first use when the service role key allows it
+insert into storage.buckets (id, name, public)
+values ('news-images', 'news-images', true)
+on conflict (id) do nothing;
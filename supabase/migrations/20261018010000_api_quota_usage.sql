@@ -0,0 +1,12 @@
+-- Daily NewsAPI / GNews call counts (api-quota.js), so a restart does not reset the budget.
+
+create table if not exists public.api_quota_usage (
+  provider text not null,
+  -- UTC day the providers reset on
+  day date not null,
+  used integer not null default 0,
+  blocked_until timestamptz,
+  last_error text,
+  updated_at timestamptz not null default now(),
+  primary key (provider, day)
+);
@@ -0,0 +1,13 @@
+-- Publisher host per article (meta.source_host, written by server.js), used for per-domain
+-- image repetition checks in image-quality.js.
+
+-- Existing rows: host of source_url without www / m / mobile / amp
+update public.ai_news
+set meta = coalesce(meta, '{}'::jsonb) || jsonb_build_object(
+  'source_host',
+  regexp_replace(lower(substring(source_url from '^https?://([^/:?#]+)')), '^(www|m|mobile|amp)\.(.+\..+)$', '\2')
+)
+where meta->>'source_host' is null
+  and source_url ~* '^https?://';
+
+create index if not exists ai_news_source_host_idx on public.ai_news ((meta->>'source_host'), created_at desc);
@@ -0,0 +1,67 @@
+// test/dedupe.test.js - Cross-script near-duplicate scoring (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const { dedupeItems, fingerprintText, similarity, tokenize, contentSignature, compareContentSignatures, SIMILARITY_THRESHOLD } = require("../dedupe");
+
+function score(a, b) {
+  return similarity(fingerprintText(a), fingerprintText(b));
+}
+
+/* -------------------- Same event, different script -------------------- */
+test("Hindi and English headlines of one accident match", () => {
+  assert.ok(score("देहरादून में सड़क हादसा, दो की मौत", "Dehradun road accident: two dead") >= SIMILARITY_THRESHOLD);
+});
+
+test("Hindi and English headlines of one cloudburst match", () => {
+  assert.ok(score("Chamoli cloudburst: 5 missing", "चमोली में बादल फटा, 5 लापता") >= SIMILARITY_THRESHOLD);
+});
+
+test("Devanagari digits and number words normalize to digits", () => {
+  assert.deepStrictEqual(tokenize("५ लापता"), tokenize("five missing"));
+  assert.deepStrictEqual(tokenize("दो की मौत"), tokenize("2 dead"));
+});
+
+test("place names reduce to the same skeleton in both scripts", () => {
+  assert.deepStrictEqual(tokenize("पौड़ी गढ़वाल"), tokenize("Pauri Garhwal"));
+  assert.deepStrictEqual(tokenize("दिल्ली"), tokenize("Delhi"));
+});
+
+/* -------------------- Different events, shared template -------------------- */
+test("different announcements by the same minister do not match", () => {
+  assert.ok(score("उत्तराखंड: मुख्यमंत्री धामी ने की घोषणा", "उत्तराखंड: मुख्यमंत्री धामी ने किया उद्घाटन") < SIMILARITY_THRESHOLD);
+});
+
+test("short template titles do not match", () => {
+  assert.ok(score("Gold price today", "Gold price today in Delhi") < SIMILARITY_THRESHOLD);
+});
+
+test("the same template in different places does not match", () => {
+  assert.ok(score("Haridwar road accident: two dead", "Dehradun road accident: two dead") < SIMILARITY_THRESHOLD);
+});
+
+/* -------------------- Batch dedupe -------------------- */
+test("a malformed feed date does not abort the batch", async () => {
+  const items = [
+    { title: "Dehradun road accident: two dead", url: "https://a.example/1", pubDate: "2024-05-01T10:00:00Z" },
+    { title: "देहरादून में सड़क हादसा, दो की मौत", url: "https://b.example/1", pubDate: "not a date" }
+  ];
+  const kept = await dedupeItems(items, null);
+  assert.strictEqual(kept.length, 1);
+});
+
+/* -------------------- Source update signatures -------------------- */
+const REPORT = "देहरादून में सड़क हादसा, 5 लोगों की मौत। अपडेट: 10:30 बजे, 12 मई 2024. " +
+  "पुलिस और एसडीआरएफ की टीम मौके पर पहुंची और राहत बचाव कार्य शुरू किया गया। घायलों को अस्पताल भेजा गया। ".repeat(6);
+
+test("a changed timestamp or date is not a material update", () => {
+  const edited = REPORT.replace("10:30", "11:45").replace("12 मई 2024", "13 मई 2024");
+  const diff = compareContentSignatures(contentSignature(REPORT), contentSignature(edited));
+  assert.strictEqual(diff.changed, true);
+  assert.strictEqual(diff.material, false);
+});
+
+test("a changed casualty count is a material update", () => {
+  const diff = compareContentSignatures(contentSignature(REPORT), contentSignature(REPORT.replace("5 लोगों", "7 लोगों")));
+  assert.strictEqual(diff.material, true);
+  assert.deepStrictEqual([diff.removedNumbers, diff.addedNumbers], [["5"], ["7"]]);
+});
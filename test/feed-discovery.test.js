@@ -0,0 +1,10 @@
+// test/feed-discovery.test.js - Input validation for feed discovery (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const { discoverFeeds } = require("../feed-discovery");
+
+test("missing or invalid site URLs are rejected as INVALID_URL", async () => {
+  for (const url of ["", "http://", "ht tp://x y", "ftp://example.com"]) {
+    await assert.rejects(discoverFeeds(url), { code: "INVALID_URL" }, `accepted ${JSON.stringify(url)}`);
+  }
+});
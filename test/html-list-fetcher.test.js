@@ -0,0 +1,19 @@
+// test/html-list-fetcher.test.js - Date formats on Hindi listing pages (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseHindiDate } = require("../html-list-fetcher");
+
+/* -------------------- Numeric dates -------------------- */
+test("a dotted date is not read as a time", () => {
+  // Midnight IST on 18 Oct 2026
+  assert.strictEqual(parseHindiDate("18.10.2026"), "2026-10-17T18:30:00.000Z");
+});
+
+test("the time after a dotted date is kept", () => {
+  assert.strictEqual(parseHindiDate("18.10.2026 09:15"), "2026-10-18T03:45:00.000Z");
+  assert.strictEqual(parseHindiDate("18.10.2026, 09.15 pm"), "2026-10-18T15:45:00.000Z");
+});
+
+test("slashed dates with a time still parse", () => {
+  assert.strictEqual(parseHindiDate("१८/१०/२०२६ १०:३० पूर्वाह्न"), "2026-10-18T05:00:00.000Z");
+});
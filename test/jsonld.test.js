@@ -0,0 +1,16 @@
+// test/jsonld.test.js - Genre hints from JSON-LD articleSection (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const { sectionToGenre } = require("../jsonld");
+
+test("section genres match whole words only", () => {
+  assert.strictEqual(sectionToGenre(["Uttarakhand transport"]), null);
+  assert.strictEqual(sectionToGenre(["astronaut"]), null);
+  assert.strictEqual(sectionToGenre(["example"]), null);
+});
+
+test("section names in English and Hindi map to a genre", () => {
+  assert.strictEqual(sectionToGenre(["Cricket News"]), "Sports");
+  assert.strictEqual(sectionToGenre(["उत्तराखंड राजनीति"]), "Politics");
+  assert.strictEqual(sectionToGenre(["Exam Results"]), "Education");
+});
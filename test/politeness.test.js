@@ -0,0 +1,35 @@
+// test/politeness.test.js - robots.txt on every redirect hop (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { politeFetch } = require("../politeness");
+
+// One server, two hosts: 127.0.0.1 redirects to localhost, which disallows /private
+function startServer() {
+  const server = http.createServer((req, res) => {
+    const host = req.headers.host.split(":")[0];
+    const port = server.address().port;
+    if (req.url === "/robots.txt") {
+      res.end(host === "localhost" ? "User-agent: *\nDisallow: /private\n" : "User-agent: *\nAllow: /\n");
+    } else if (req.url === "/to-private") {
+      res.writeHead(302, { location: `http://localhost:${port}/private` }).end();
+    } else if (req.url === "/to-public") {
+      res.writeHead(301, { location: `http://localhost:${port}/public` }).end();
+    } else {
+      res.end(`page ${req.url}`);
+    }
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+test("a redirect is only followed where the target host's robots.txt allows it", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const page = await politeFetch(`${base}/to-public`);
+  assert.strictEqual(page.text, "page /public");
+  assert.strictEqual(page.url, `http://localhost:${server.address().port}/public`);
+
+  await assert.rejects(politeFetch(`${base}/to-private`), { code: "ROBOTS_DISALLOWED" });
+});
@@ -0,0 +1,44 @@
+// test/rss-fetcher.test.js - Conditional GET and retry of unprocessed feed items (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const { fetchRSSFeed, markItemsSeen, clearFeedCache } = require("../rss-fetcher");
+
+const FEED_URL = "https://feeds.example/uttarakhand.xml";
+const FEED = `<?xml version="1.0"?><rss version="2.0"><channel><title>Example</title>
+<item><title>Story one</title><link>https://news.example/1</link><guid>g1</guid><pubDate>Sat, 17 Oct 2026 10:00:00 GMT</pubDate></item>
+<item><title>Story two</title><link>https://news.example/2</link><guid>g2</guid><pubDate>Sat, 17 Oct 2026 09:00:00 GMT</pubDate></item>
+</channel></rss>`;
+
+// Answers 304 whenever the validator from the first response comes back
+function stubFetch(requests) {
+  return async (url, options = {}) => {
+    requests.push(options.headers || {});
+    if (options.headers && options.headers["If-None-Match"] === '"v1"') {
+      return new Response(null, { status: 304 });
+    }
+    return new Response(FEED, { status: 200, headers: { "content-type": "application/rss+xml", etag: '"v1"' } });
+  };
+}
+
+test("a feed with unprocessed items is still fetched conditionally and re-offers them on 304", async (t) => {
+  const requests = [];
+  const originalFetch = global.fetch;
+  global.fetch = stubFetch(requests);
+  t.after(() => {
+    global.fetch = originalFetch;
+    clearFeedCache(FEED_URL);
+  });
+
+  const first = await fetchRSSFeed(FEED_URL, 10);
+  assert.deepStrictEqual(first.map(item => item.feedGuid.guid), ["g1", "g2"]);
+
+  // Only the first item made it through the pipeline
+  markItemsSeen([first[0]]);
+
+  const second = await fetchRSSFeed(FEED_URL, 10);
+  assert.strictEqual(requests[1]["If-None-Match"], '"v1"');
+  assert.deepStrictEqual(second.map(item => item.feedGuid.guid), ["g2"]);
+
+  markItemsSeen(second);
+  assert.deepStrictEqual(await fetchRSSFeed(FEED_URL, 10), []);
+});
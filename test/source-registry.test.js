@@ -0,0 +1,21 @@
+// test/source-registry.test.js - Validation of source updates against the stored row (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const { mergeSourceUpdate, validateSource } = require("../source-registry");
+
+const RSS_ROW = { name: "Example RSS", type: "RSS", priority: 3, enabled: true, region: null, config: { url: "https://feeds.example/rss", maxItems: 5 } };
+const GNEWS_ROW = { name: "Example GNews", type: "GNEWS", priority: 3, enabled: true, region: null, config: { q: "uttarakhand" } };
+
+test("a config patch keeps the stored config keys", () => {
+  const merged = mergeSourceUpdate(RSS_ROW, { config: { maxItems: 8 } });
+  assert.deepStrictEqual(merged.config, { url: "https://feeds.example/rss", maxItems: 8 });
+  assert.deepStrictEqual(validateSource(mergeSourceUpdate(RSS_ROW, { config: {} })), []);
+});
+
+test("a type change without the config the new type needs is rejected", () => {
+  assert.deepStrictEqual(validateSource(mergeSourceUpdate(GNEWS_ROW, { type: "RSS" })), ["config.url is required for RSS sources"]);
+});
+
+test("removing a required config key is rejected", () => {
+  assert.deepStrictEqual(validateSource(mergeSourceUpdate(RSS_ROW, { config: { url: null } })), ["config.url is required for RSS sources"]);
+});
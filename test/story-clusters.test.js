@@ -0,0 +1,31 @@
+// test/story-clusters.test.js - Which follow-ups join a story cluster (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const { storySignature, storySimilarity, CLUSTER_THRESHOLD } = require("../story-clusters");
+
+function score(a, b) {
+  return storySimilarity(storySignature(a), storySignature(b));
+}
+
+/* -------------------- Same person, different event -------------------- */
+test("the CM's meeting and school opening in one city are separate stories", () => {
+  assert.ok(score("मुख्यमंत्री धामी ने देहरादून में बैठक की", "मुख्यमंत्री धामी ने देहरादून में स्कूल का उद्घाटन किया") < CLUSTER_THRESHOLD);
+});
+
+test("the CM's review meeting and e-bus launch in one city are separate stories", () => {
+  assert.ok(score("Dehradun: CM Dhami chairs review meeting on roads", "Dehradun: CM Dhami flags off e-buses") < CLUSTER_THRESHOLD);
+});
+
+test("the CM's visits to one district for different events are separate stories", () => {
+  assert.ok(score("CM Dhami reviews cloudburst relief in Chamoli", "CM Dhami inaugurates school in Chamoli") < CLUSTER_THRESHOLD);
+});
+
+/* -------------------- Follow-ups of one event -------------------- */
+test("follow-ups of one cloudburst join its story", () => {
+  assert.ok(score("Chamoli cloudburst: 5 missing", "चमोली में बादल फटा, 5 लापता, बचाव अभियान जारी") >= CLUSTER_THRESHOLD);
+  assert.ok(score("Chamoli cloudburst: 5 missing", "Chamoli cloudburst death toll rises to 7") >= CLUSTER_THRESHOLD);
+});
+
+test("another story in the same place does not join", () => {
+  assert.ok(score("Chamoli cloudburst: 5 missing", "Chamoli school reopens") < CLUSTER_THRESHOLD);
+});
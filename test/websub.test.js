@@ -0,0 +1,35 @@
+// test/websub.test.js - Pushes arriving after a restart, before the first subscription sync (run with npm test)
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+process.env.WEBSUB_SECRET = "test-secret";
+process.env.BASE_URL = "https://news.example";
+const { handlePush, restoreWebSubCallbacks } = require("../websub");
+
+const FEED_URL = "https://feeds.example/rss";
+const SOURCES = { EXAMPLE: { name: "Example", type: "RSS", config: { url: FEED_URL } } };
+const CALLBACK_ID = crypto.createHash("sha1").update(FEED_URL).digest("hex").slice(0, 20);
+const BODY = Buffer.from(`<?xml version="1.0"?><rss version="2.0"><channel><title>Example</title>
+<item><title>Story one</title><link>https://news.example/1</link><guid>g1</guid></item></channel></rss>`);
+
+function sign(body) {
+  const secret = crypto.createHmac("sha256", "test-secret").update(FEED_URL).digest("hex");
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+test("an unknown callback is not answered with 410 before the sources are loaded", async () => {
+  assert.strictEqual((await handlePush("0123456789abcdef0123", BODY, {})).status, 202);
+});
+
+test("a signed push for a known source is accepted before the first sync", async () => {
+  restoreWebSubCallbacks(SOURCES);
+  const result = await handlePush(CALLBACK_ID, BODY, { "x-hub-signature": sign(BODY) });
+  assert.strictEqual(result.status, 202);
+  assert.deepStrictEqual(result.items.map(item => item.url), ["https://news.example/1"]);
+});
+
+test("once the sources are loaded an unknown callback gets 410", async () => {
+  restoreWebSubCallbacks(SOURCES);
+  assert.strictEqual((await handlePush("0123456789abcdef0123", BODY, {})).status, 410);
+});
@@ -0,0 +1,230 @@
+// url-canonical.js - One URL per story: tracking params, AMP/mobile variants, redirect wrappers, rel=canonical
+const { fetchPage } = require("./page-fetcher");
+const { resolveGoogleNewsUrl } = require("./google-news-fetcher");
+
+/* -------------------- Config -------------------- */
+const TRACKING_PARAMS = new Set([
+  "fbclid", "gclid", "dclid", "gclsrc", "msclkid", "yclid", "twclid", "igshid", "mc_cid", "mc_eid",
+  "ref", "ref_src", "ref_url", "referrer", "ocid", "cmpid", "ito", "_ga", "_gl", "s_cid", "ncid",
+  "ns_mchannel", "ns_source", "ns_campaign", "ns_linkname", "ns_fee", "sr_share", "at_medium",
+  "at_campaign", "__twitter_impression", "ved", "usg", "ei", "usqp", "amp", "_amp", "outputtype",
+  "amp_js_v", "amp_gsa", "amp_r", "aoh", "csi", "referrer_url"
+]);
+const TRACKING_PREFIXES = ["utm_", "pk_", "hsa_", "mtm_", "__hs"];
+
+// Hosts whose links only wrap another URL in a query parameter
+const WRAPPER_PARAMS = [
+  { host: /(^|\.)google\.[a-z.]+$/, path: /^\/url$/, params: ["q", "url"] },
+  { host: /^(l|lm|m)\.facebook\.com$/, path: /^\/l\.php$/, params: ["u"] },
+  { host: /^(www\.)?linkedin\.com$/, path: /^\/redir\/redirect/, params: ["url"] },
+  { host: /^out\.reddit\.com$/, path: /^\//, params: ["url"] },
+  { host: /^(www\.)?bing\.com$/, path: /^\/news\/apiclick\.aspx$/, params: ["url"] }
+];
+
+// Subdomains that serve the same article under another host
+const VARIANT_SUBDOMAINS = ["www", "m", "mobile", "amp"];
+
+/* -------------------- Static canonicalization -------------------- */
+function unwrapRedirect(parsed) {
+  const host = parsed.hostname;
+
+  // AMP caches: cdn.ampproject.org/c/s/example.com/path and google.com/amp/s/example.com/path
+  const ampCache = host.endsWith(".cdn.ampproject.org") || host === "cdn.ampproject.org"
+    ? parsed.pathname.match(/^\/[a-z]+\/(s\/)?(.+)$/)
+    : /(^|\.)google\.[a-z.]+$/.test(host) ? parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/) : null;
+  if (ampCache) {
+    return `${ampCache[1] ? "https" : "http"}://${ampCache[2]}${parsed.search}`;
+  }
+
+  for (const wrapper of WRAPPER_PARAMS) {
+    if (!wrapper.host.test(host) || !wrapper.path.test(parsed.pathname)) continue;
+    for (const name of wrapper.params) {
+      const target = parsed.searchParams.get(name);
+      if (target && /^https?:\/\//i.test(target)) return target;
+    }
+  }
+
+  return null;
+}
+
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/\/amp_([a-z]+show)\//i, "/$1/")   // Times Internet: /amp_articleshow/123.cms
+    .replace(/\.amp(\.html?)?$/i, (m, ext) => ext || "")
+    .replace(/^\/amp(\/|$)/i, "/")
+    .replace(/\/amp(\/\d+)?\/?$/i, "") || "/";   // NDTV: /story-123/amp/1
+}
+
+/**
+ * Canonical form of a URL without any network access: redirect wrappers and AMP caches
+ * unwrapped, AMP markers and tracking parameters removed, fragment dropped, host lowercased.
+ * Mobile hosts are kept (they still resolve); use urlVariants() to match them.
+ * Returns the input unchanged when it is not an http(s) URL.
+ */
+function canonicalizeUrl(url) {
+  if (!url) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (e) {
+    return url;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return url;
+
+  // Wrappers can nest (google.com/url -> ampproject -> article)
+  for (let depth = 0; depth < 3; depth++) {
+    const target = unwrapRedirect(parsed);
+    if (!target) break;
+    try {
+      parsed = new URL(target);
+    } catch (e) {
+      break;
+    }
+  }
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/\.$/, "");
+  if (parsed.hostname.startsWith("amp.") && parsed.hostname.split(".").length > 2) {
+    parsed.hostname = `www.${parsed.hostname.slice(4)}`;
+  }
+  if ((parsed.protocol === "https:" && parsed.port === "443") || (parsed.protocol === "http:" && parsed.port === "80")) {
+    parsed.port = "";
+  }
+  parsed.pathname = stripAmpPath(parsed.pathname);
+
+  for (const name of Array.from(parsed.searchParams.keys())) {
+    const key = name.toLowerCase();
+    if (TRACKING_PARAMS.has(key) || TRACKING_PREFIXES.some(prefix => key.startsWith(prefix))) {
+      parsed.searchParams.delete(name);
+    }
+  }
+
+  return parsed.href.replace(/\?$/, "");
+}
+
+/**
+ * Spellings of the same article URL worth checking for duplicates: the canonical form plus
+ * http/https and www/m./mobile. host variants, with and without a trailing slash.
+ */
+function urlVariants(url, extra = []) {
+  const variants = new Set();
+  for (const raw of [url, ...extra]) {
+    if (!raw) continue;
+    variants.add(raw);
+
+    let parsed;
+    try {
+      parsed = new URL(canonicalizeUrl(raw));
+    } catch (e) {
+      continue;
+    }
+
+    const labels = parsed.hostname.split(".");
+    const bare = VARIANT_SUBDOMAINS.includes(labels[0]) && labels.length > 2 ? labels.slice(1).join(".") : parsed.hostname;
+    const hosts = [bare, ...VARIANT_SUBDOMAINS.filter(s => s !== "amp").map(s => `${s}.${bare}`)];
+    const rest = `${parsed.pathname}${parsed.search}`;
+    const paths = [rest];
+    if (!parsed.search && parsed.pathname.length > 1) {
+      paths.push(parsed.pathname.endsWith("/") ? parsed.pathname.slice(0, -1) : `${parsed.pathname}/`);
+    }
+
+    for (const host of hosts) {
+      for (const path of paths) {
+        variants.add(`https://${host}${path}`);
+        variants.add(`http://${host}${path}`);
+      }
+    }
+  }
+  return Array.from(variants);
+}
+
+/**
+ * Protocol- and subdomain-insensitive key, for comparing URLs within a batch.
+ */
+function urlKey(url) {
+  const canonical = canonicalizeUrl(url);
+  try {
+    const parsed = new URL(canonical);
+    const labels = parsed.hostname.split(".");
+    const host = VARIANT_SUBDOMAINS.includes(labels[0]) && labels.length > 2 ? labels.slice(1).join(".") : parsed.hostname;
+    return `${host}${parsed.pathname.replace(/\/$/, "")}${parsed.search}`;
+  } catch (e) {
+    return canonical;
+  }
+}
+
+/**
+ * Publisher host without www / m / amp variants (stored as meta.source_host), or null.
+ */
+function sourceHost(url) {
+  try {
+    const labels = new URL(url).hostname.toLowerCase().split(".");
+    return VARIANT_SUBDOMAINS.includes(labels[0]) && labels.length > 2 ? labels.slice(1).join(".") : labels.join(".");
+  } catch (e) {
+    return null;
+  }
+}
+
+/* -------------------- Page-declared canonical -------------------- */
+function pickDeclaredCanonical($, pageUrl) {
+  const candidates = [
+    $('link[rel="canonical"]').first().attr("href"),
+    $('meta[property="og:url"]').first().attr("content")
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const resolved = new URL(candidate.trim(), pageUrl);
+      if (!/^https?:$/.test(resolved.protocol)) continue;
+      // Some templates point every page at the homepage or a section root
+      if (resolved.pathname.replace(/\/+$/, "").split("/").filter(Boolean).length === 0 && !resolved.search) continue;
+      return resolved.href;
+    } catch (e) {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Canonical URL after following redirects and reading the page's rel=canonical / og:url.
+ * Falls back to the static canonical form when the page cannot be fetched.
+ * Resolves to { url, resolvedFrom } where resolvedFrom is "canonical_tag", "redirect" or "static".
+ */
+async function resolveCanonicalUrl(url, options = {}) {
+  let target = canonicalizeUrl(url);
+
+  try {
+    if (new URL(target).hostname === "news.google.com") {
+      const publisherUrl = await resolveGoogleNewsUrl(target);
+      if (publisherUrl) target = canonicalizeUrl(publisherUrl);
+    }
+
+    // Cached, so the scrape that follows reuses this download
+    const page = await fetchPage(target, { userAgent: options.userAgent });
+    if (!page.ok) return { url: target, resolvedFrom: "static" };
+
+    const finalUrl = canonicalizeUrl(page.url);
+    const declared = pickDeclaredCanonical(page.$, page.url);
+    if (declared) return { url: canonicalizeUrl(declared), resolvedFrom: "canonical_tag" };
+
+    return { url: finalUrl, resolvedFrom: finalUrl !== target ? "redirect" : "static" };
+  } catch (e) {
+    if (e.code !== "ROBOTS_DISALLOWED") {
+      console.warn(`   ⚠️ Could not resolve canonical URL for ${target}:`, e.message);
+    }
+    return { url: target, resolvedFrom: "static" };
+  }
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  canonicalizeUrl,
+  urlVariants,
+  urlKey,
+  sourceHost,
+  resolveCanonicalUrl,
+  pickDeclaredCanonical
+};
@@ -0,0 +1,314 @@
+// websub.js - WebSub (PubSubHubbub) subscriber: hub subscriptions, intent verification, signed pushes
+const crypto = require("crypto");
+const { fetchWithRetries, getFeedWebSubLinks, parseFeedBody } = require("./rss-fetcher");
+
+/* -------------------- Config -------------------- */
+// Hubs must be able to reach the callback, so WebSub only runs with a public base URL
+const CALLBACK_BASE = (process.env.BASE_URL || process.env.RENDER_EXTERNAL_URL || "").replace(/\/+$/, "");
+// Hubs keep signing pushes with the secret they were given until the lease ends, so it must
+// survive restarts: WebSub stays off unless WEBSUB_SECRET is configured
+const WEBSUB_SECRET = process.env.WEBSUB_SECRET || "";
+const WEBSUB_ENABLED = process.env.WEBSUB_ENABLED !== "false" && !!CALLBACK_BASE && !!WEBSUB_SECRET;
+const CALLBACK_PATH = "/websub/callback";
+
+if (process.env.WEBSUB_ENABLED !== "false" && CALLBACK_BASE && !WEBSUB_SECRET) {
+  console.warn("⚠️ WebSub DISABLED: WEBSUB_SECRET is not set. Set it to a fixed random string to receive pushes (feeds are still polled).");
+}
+const LEASE_SECONDS = Number(process.env.WEBSUB_LEASE_SECONDS) || 5 * 24 * 60 * 60;
+const RENEW_BEFORE_MS = 12 * 60 * 60 * 1000;
+const RETRY_AFTER_MS = 30 * 60 * 1000;
+const PENDING_TIMEOUT_MS = 60 * 60 * 1000;
+
+const SIGNATURE_ALGORITHMS = ["sha1", "sha256", "sha384", "sha512"];
+
+// topic -> { topic, hub, feedUrl, callbackId, callback, source, state, requestedAt, verifiedAt,
+//            expiresAt, leaseSeconds, lastError, lastPushAt, pushCount }
+const subscriptions = new Map();
+// callbackId -> topic
+const callbackTopics = new Map();
+// callbackId -> { feedUrl, source }: callbacks of eligible sources, rebuilt from the registry at
+// startup so leases from before a restart still deliver until sync re-subscribes
+const knownCallbacks = new Map();
+// Set once the full source registry was loaded; before that an unknown callback may still be ours
+let callbacksComplete = false;
+
+/* -------------------- Helpers -------------------- */
+// Callback id and secret come from the configured feed URL, not the hub topic (the feed's
+// rel=self), so both can be recomputed from the sources alone after a restart
+function callbackIdFor(feedUrl) {
+  return crypto.createHash("sha1").update(feedUrl).digest("hex").slice(0, 20);
+}
+
+function secretFor(feedUrl) {
+  return crypto.createHmac("sha256", WEBSUB_SECRET).update(feedUrl).digest("hex");
+}
+
+function isEligibleSource(source) {
+  return source.type === "RSS" && !!source.config && !!source.config.url && source.config.websub !== false;
+}
+
+function ageMs(iso) {
+  return iso ? Date.now() - new Date(iso).getTime() : Infinity;
+}
+
+function verifySignature(feedUrl, rawBody, header) {
+  const [algorithm, signature] = String(header || "").split("=");
+  if (!SIGNATURE_ALGORITHMS.includes(algorithm) || !signature) return false;
+
+  const expected = Buffer.from(crypto.createHmac(algorithm, secretFor(feedUrl)).update(rawBody).digest("hex"), "hex");
+  const received = Buffer.from(signature, "hex");
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/* -------------------- Hub requests -------------------- */
+async function sendHubRequest(mode, sub) {
+  const params = new URLSearchParams({
+    "hub.mode": mode,
+    "hub.topic": sub.topic,
+    "hub.callback": sub.callback
+  });
+  if (mode === "subscribe") {
+    params.set("hub.secret", secretFor(sub.feedUrl));
+    params.set("hub.lease_seconds", String(LEASE_SECONDS));
+  }
+
+  const res = await fetchWithRetries(sub.hub, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params.toString(),
+    timeout: 15000
+  }, 1, 500);
+
+  // 202 Accepted is the norm; the hub then verifies intent against the callback
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`hub responded HTTP ${res.status}${text ? `: ${text.slice(0, 120)}` : ""}`);
+  }
+}
+
+async function subscribe(topic, hub, feedUrl, source) {
+  const callbackId = callbackIdFor(feedUrl);
+  const existing = subscriptions.get(topic) || {};
+  const sub = {
+    pushCount: 0,
+    ...existing,
+    topic,
+    hub,
+    feedUrl,
+    callbackId,
+    callback: `${CALLBACK_BASE}${CALLBACK_PATH}/${callbackId}`,
+    source,
+    // A renewal keeps delivering under the current lease until the hub re-verifies
+    state: existing.state === "subscribed" ? "subscribed" : "pending",
+    requestedAt: new Date().toISOString(),
+    lastError: null
+  };
+  subscriptions.set(topic, sub);
+  callbackTopics.set(callbackId, topic);
+
+  try {
+    await sendHubRequest("subscribe", sub);
+    console.log(`📬 WebSub subscription requested: ${source.name} via ${hub}`);
+    return true;
+  } catch (e) {
+    sub.state = "failed";
+    sub.lastError = e.message;
+    console.warn(`❌ WebSub subscribe failed for ${source.name}:`, e.message);
+    return false;
+  }
+}
+
+async function unsubscribe(topic) {
+  const sub = subscriptions.get(topic);
+  if (!sub) return false;
+
+  sub.state = "unsubscribing";
+  sub.requestedAt = new Date().toISOString();
+
+  try {
+    await sendHubRequest("unsubscribe", sub);
+    console.log(`📭 WebSub unsubscribe requested: ${sub.source.name}`);
+    return true;
+  } catch (e) {
+    sub.lastError = e.message;
+    console.warn(`❌ WebSub unsubscribe failed for ${sub.source.name}:`, e.message);
+    return false;
+  }
+}
+
+/* -------------------- Startup -------------------- */
+/**
+ * Rebuild the callback ids of every eligible RSS source, so pushes under leases taken before
+ * a restart are accepted before the first sync. `complete` marks the full registry (not just
+ * the static fallback): only then are unknown callbacks answered with 410.
+ */
+function restoreWebSubCallbacks(sources, { complete = true } = {}) {
+  if (!WEBSUB_ENABLED) return;
+
+  knownCallbacks.clear();
+  for (const [key, source] of Object.entries(sources || {})) {
+    if (!isEligibleSource(source)) continue;
+    knownCallbacks.set(callbackIdFor(source.config.url), { feedUrl: source.config.url, source: { key, ...source } });
+  }
+  if (complete) callbacksComplete = true;
+}
+
+/* -------------------- Subscription sync (after every poll) -------------------- */
+function needsSubscribe(sub) {
+  if (!sub) return true;
+  switch (sub.state) {
+    case "subscribed":
+      return !sub.expiresAt || new Date(sub.expiresAt).getTime() - Date.now() < RENEW_BEFORE_MS;
+    case "pending":
+      return ageMs(sub.requestedAt) > PENDING_TIMEOUT_MS;
+    case "failed":
+    case "denied":
+      return ageMs(sub.requestedAt) > RETRY_AFTER_MS;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Subscribe to (or renew) every enabled RSS source whose feed advertised a hub, and
+ * unsubscribe topics whose source went away. Hubs are learned by the poller, so this
+ * runs after each cycle; polling stays the fallback for everything else.
+ */
+async function syncWebSubSubscriptions(sources) {
+  if (!WEBSUB_ENABLED) return;
+
+  const wanted = new Map();
+  for (const [key, source] of Object.entries(sources || {})) {
+    if (!isEligibleSource(source)) continue;
+
+    const { hub, self } = getFeedWebSubLinks(source.config.url);
+    if (!hub) continue;
+    wanted.set(self || source.config.url, { hub, feedUrl: source.config.url, source: { key, ...source } });
+  }
+
+  for (const [topic, { hub, feedUrl, source }] of wanted) {
+    const sub = subscriptions.get(topic);
+    if (sub) sub.source = source;
+    if (needsSubscribe(sub)) {
+      await subscribe(topic, hub, feedUrl, source);
+    }
+  }
+
+  for (const [topic, sub] of subscriptions) {
+    if (!wanted.has(topic) && (sub.state === "subscribed" || sub.state === "pending")) {
+      await unsubscribe(topic);
+    }
+  }
+}
+
+/* -------------------- Callback handling -------------------- */
+/**
+ * Verification of intent (GET on the callback). Returns { status, body }.
+ */
+function verifyIntent(callbackId, query = {}) {
+  const topic = callbackTopics.get(callbackId);
+  const sub = topic ? subscriptions.get(topic) : null;
+  const mode = query["hub.mode"];
+
+  if (!sub || query["hub.topic"] !== sub.topic) {
+    return { status: 404, body: "Unknown subscription" };
+  }
+
+  if (mode === "denied") {
+    sub.state = "denied";
+    sub.lastError = query["hub.reason"] || "denied by hub";
+    console.warn(`🚫 WebSub subscription denied for ${sub.source.name}: ${sub.lastError}`);
+    return { status: 200, body: "" };
+  }
+
+  if (mode === "subscribe" && ["pending", "subscribed"].includes(sub.state)) {
+    const lease = Number(query["hub.lease_seconds"]) || LEASE_SECONDS;
+    sub.state = "subscribed";
+    sub.leaseSeconds = lease;
+    sub.verifiedAt = new Date().toISOString();
+    sub.expiresAt = new Date(Date.now() + lease * 1000).toISOString();
+    console.log(`✅ WebSub subscription verified: ${sub.source.name} (lease ${Math.round(lease / 3600)}h)`);
+    return { status: 200, body: query["hub.challenge"] || "" };
+  }
+
+  if (mode === "unsubscribe" && sub.state === "unsubscribing") {
+    subscriptions.delete(topic);
+    callbackTopics.delete(callbackId);
+    console.log(`✅ WebSub unsubscribed: ${sub.source.name}`);
+    return { status: 200, body: query["hub.challenge"] || "" };
+  }
+
+  return { status: 404, body: "Intent not recognised" };
+}
+
+/**
+ * Content distribution (POST on the callback). Returns { status, items, source }.
+ * Bad signatures still get a 2xx (per spec) but their content is ignored.
+ */
+async function handlePush(callbackId, rawBody, headers = {}) {
+  const topic = callbackTopics.get(callbackId);
+  const sub = topic ? subscriptions.get(topic) : null;
+  if (sub && sub.state === "unsubscribing") {
+    return { status: 410, items: [], source: null };
+  }
+
+  // Not subscribed in this process yet: a lease from before the restart, if the source is known
+  const target = sub || knownCallbacks.get(callbackId);
+  if (!target) {
+    if (!callbacksComplete) {
+      // Sources not loaded yet; a 410 would make the hub drop a valid subscription
+      console.warn(`⚠️ WebSub push for unknown callback ${callbackId} before sources loaded — left to the poller`);
+      return { status: 202, items: [], source: null };
+    }
+    return { status: 410, items: [], source: null };
+  }
+
+  if (!verifySignature(target.feedUrl, rawBody, headers["x-hub-signature"])) {
+    console.warn(`⚠️ WebSub push with invalid signature for ${target.source.name} — ignored`);
+    return { status: 202, items: [], source: target.source };
+  }
+
+  // Same GUID cache as the poller: once either path has stored an item, neither returns it again
+  const { items } = await parseFeedBody(rawBody.toString("utf8"), target.feedUrl, {
+    contentType: headers["content-type"],
+    maxItems: (target.source.config && target.source.config.maxItems) || 10,
+    useCache: true
+  });
+
+  if (sub) {
+    sub.lastPushAt = new Date().toISOString();
+    sub.pushCount = (sub.pushCount || 0) + 1;
+  }
+  console.log(`📨 WebSub push from ${target.source.name}: ${items.length} new item(s)`);
+
+  return { status: 202, items, source: target.source };
+}
+
+/* -------------------- Reporting -------------------- */
+function getWebSubStatus() {
+  return {
+    enabled: WEBSUB_ENABLED,
+    secret_configured: !!WEBSUB_SECRET,
+    callback_base: CALLBACK_BASE || null,
+    subscriptions: Array.from(subscriptions.values()).map(sub => ({
+      source: sub.source.name,
+      topic: sub.topic,
+      hub: sub.hub,
+      state: sub.state,
+      expires_at: sub.expiresAt || null,
+      last_push_at: sub.lastPushAt || null,
+      push_count: sub.pushCount || 0,
+      last_error: sub.lastError
+    }))
+  };
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  WEBSUB_ENABLED,
+  restoreWebSubCallbacks,
+  syncWebSubSubscriptions,
+  verifyIntent,
+  handlePush,
+  getWebSubStatus
+};
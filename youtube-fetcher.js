@@ -0,0 +1,107 @@
+// youtube-fetcher.js - YouTube channel / playlist Atom feeds as video-first article seeds
+const cheerio = require("cheerio");
+const { fetchWithRetries } = require("./rss-fetcher");
+const { matchEmbedUrl } = require("./embed-extractors");
+
+/* -------------------- Config -------------------- */
+const YOUTUBE_FEED_BASE = "https://www.youtube.com/feeds/videos.xml";
+
+/* -------------------- Utils -------------------- */
+/**
+ * Feed URL from config: { url } | { channelId } | { playlistId }.
+ */
+function buildYouTubeFeedUrl(config = {}) {
+  if (config.url) return config.url;
+  if (config.channelId) return `${YOUTUBE_FEED_BASE}?channel_id=${encodeURIComponent(config.channelId)}`;
+  if (config.playlistId) return `${YOUTUBE_FEED_BASE}?playlist_id=${encodeURIComponent(config.playlistId)}`;
+  return null;
+}
+
+function text($el) {
+  return ($el.first().text() || "").trim();
+}
+
+/**
+ * Video object in the embed shape of embed-extractors.js ({ type, id, url, thumbnail }), flagged as primary.
+ */
+function buildYouTubeVideo(videoId, extra = {}) {
+  return {
+    ...matchEmbedUrl(`https://www.youtube.com/watch?v=${videoId}`),
+    ...(extra.thumbnail ? { thumbnail: extra.thumbnail } : {}),
+    primary: true
+  };
+}
+
+/* -------------------- Parsing -------------------- */
+function parseYouTubeFeed(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const channelTitle = text($("feed > title"));
+  const items = [];
+
+  $("feed > entry").each((i, elem) => {
+    const $entry = $(elem);
+    const videoId = text($entry.find("yt\\:videoId"));
+    const title = text($entry.find("media\\:group media\\:title")) || text($entry.find("title"));
+    if (!videoId || !title) return;
+
+    const thumbnail = $entry.find("media\\:group media\\:thumbnail").first().attr("url") || null;
+
+    items.push({
+      title,
+      description: text($entry.find("media\\:group media\\:description")),
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      image: thumbnail,
+      pubDate: text($entry.find("published")) || text($entry.find("updated")) || null,
+      source: text($entry.find("author name")) || channelTitle || null,
+      videoId,
+      video: buildYouTubeVideo(videoId, { thumbnail })
+    });
+  });
+
+  return items;
+}
+
+/* -------------------- YouTube Fetcher -------------------- */
+async function fetchYouTubeFeed(config, options = {}) {
+  const feedUrl = buildYouTubeFeedUrl(config || {});
+  const maxItems = (config && config.maxItems) || 10;
+
+  try {
+    if (!feedUrl) throw new Error("config.channelId, config.playlistId or config.url is required");
+
+    console.log(`📡 Fetching LATEST YouTube feed: ${feedUrl}`);
+
+    const response = await fetchWithRetries(feedUrl, {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+        "Accept": "application/atom+xml, application/xml, text/xml, */*;q=0.1"
+      },
+      timeout: 15000
+    }, 2, 400);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const items = parseYouTubeFeed(await response.text())
+      .map(it => ({ ...it, source: config.sourceName || it.source || "YouTube" }))
+      .sort((a, b) => new Date(b.pubDate || 0) - new Date(a.pubDate || 0))
+      .slice(0, maxItems);
+
+    console.log(`✅ Fetched ${items.length} LATEST videos from YouTube feed: ${feedUrl}`);
+    return items;
+
+  } catch (error) {
+    console.warn(`❌ Failed to fetch YouTube feed ${feedUrl}:`, error && error.message ? error.message : error);
+    if (options.throwOnError) throw error;
+    return [];
+  }
+}
+
+/* -------------------- Export -------------------- */
+module.exports = {
+  fetchYouTubeFeed,
+  parseYouTubeFeed,
+  buildYouTubeFeedUrl,
+  buildYouTubeVideo
+};